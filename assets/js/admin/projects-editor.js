@@ -0,0 +1,376 @@
+/**
+ * Projects Editor (admin)
+ * Form-based editing of projects.json with a live card preview, schema checks,
+ * JSON import and download
+ */
+
+const PROJECT_TYPES = ['frontend', 'backend', 'fullstack'];
+
+let editorData = { projects: [] };
+let selectedProjectIndex = 0;
+let projectsSchema = null;
+let hasUnsavedChanges = false;
+
+registerModule('projects-editor', {
+    init: initProjectsEditor
+});
+
+async function initProjectsEditor({ signal }) {
+    const form = document.getElementById('project-form');
+    if (!form) return;
+
+    form.addEventListener('input', handleProjectInput, { signal });
+    form.addEventListener('submit', e => e.preventDefault(), { signal });
+    document.getElementById('project-list').addEventListener('click', handleProjectSelect, { signal });
+    document.getElementById('tech-input').addEventListener('keydown', handleTechKeydown, { signal });
+    document.getElementById('tech-tags').addEventListener('click', handleTechRemove, { signal });
+
+    document.getElementById('add-project').addEventListener('click', addProject, { signal });
+    document.getElementById('delete-project').addEventListener('click', deleteProject, { signal });
+    document.getElementById('move-project-up').addEventListener('click', () => moveProject(-1), { signal });
+    document.getElementById('move-project-down').addEventListener('click', () => moveProject(1), { signal });
+    document.getElementById('reload-projects').addEventListener('click', loadEditorProjects, { signal });
+    document.getElementById('check-projects').addEventListener('click', checkProjectsData, { signal });
+    document.getElementById('export-projects').addEventListener('click', exportProjects, { signal });
+    document.getElementById('import-projects').addEventListener('change', importProjects, { signal });
+
+    // The preview is for looking only
+    document.getElementById('project-preview').addEventListener('click', e => e.preventDefault(), { capture: true, signal });
+
+    window.addEventListener('beforeunload', (e) => {
+        if (hasUnsavedChanges) {
+            e.preventDefault();
+            e.returnValue = '';
+        }
+    }, { signal });
+
+    try {
+        projectsSchema = await loadDataSchema('projects');
+    } catch (error) {
+        showEditorStatus(`Could not load the projects schema: ${error.message}`, true);
+    }
+
+    await loadEditorProjects();
+}
+
+// Load the published file as-is (invalid entries included, so they can be fixed here)
+async function loadEditorProjects() {
+    if (hasUnsavedChanges && !window.confirm('Discard your changes and reload data/projects.json?')) return;
+
+    try {
+        const response = await fetch('data/projects.json', { cache: 'no-store' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        setEditorData(await response.json(), 'Loaded data/projects.json.');
+    } catch (error) {
+        console.error('Error loading projects:', error);
+        showEditorStatus(`Could not load data/projects.json: ${error.message}`, true);
+    }
+}
+
+function setEditorData(data, message) {
+    if (!data || !Array.isArray(data.projects)) {
+        showEditorStatus('The file must contain a "projects" array.', true);
+        return;
+    }
+
+    editorData = data;
+    selectedProjectIndex = 0;
+    hasUnsavedChanges = false;
+    renderProjectsEditor();
+    checkProjectsData();
+    showEditorStatus(message);
+}
+
+function getSelectedProject() {
+    return editorData.projects[selectedProjectIndex] || null;
+}
+
+function markChanged() {
+    hasUnsavedChanges = true;
+}
+
+function renderProjectsEditor() {
+    renderProjectList();
+    renderProjectForm();
+    renderProjectPreview();
+}
+
+function renderProjectList() {
+    const list = document.getElementById('project-list');
+    const errorsByIndex = getProjectErrors().reduce((result, error) => {
+        result.add(error.path[1]);
+        return result;
+    }, new Set());
+
+    list.innerHTML = html`${editorData.projects.map((project, index) => html`
+        <li>
+            <button type="button" class="project-list__item ${index === selectedProjectIndex ? 'active' : ''}"
+                    data-index="${index}" aria-current="${index === selectedProjectIndex ? 'true' : 'false'}">
+                ${errorsByIndex.has(index) ? html`<span class="project-list__warning" aria-label="Has errors">⚠</span>` : ''}
+                ${getLocalizedText(project.title, 'en') || '(untitled)'}
+            </button>
+        </li>
+    `)}`;
+}
+
+function renderProjectForm() {
+    const form = document.getElementById('project-form');
+    const project = getSelectedProject();
+
+    form.hidden = !project;
+    if (!project) return;
+
+    form.elements.id.value = project.id ?? '';
+    // Title and description may be per-locale; fields with lang="id" edit the translation
+    form.querySelectorAll('[data-field-locale]').forEach(input => {
+        input.value = getLocalizedText(project[input.dataset.field || input.name], input.dataset.fieldLocale);
+    });
+    form.elements.type.value = PROJECT_TYPES.includes(project.type) ? project.type : 'fullstack';
+    form.elements.image.value = project.image ?? '';
+    form.elements.demo.value = project.demo ?? '';
+    form.elements.github.value = project.github ?? '';
+
+    renderTechTags();
+    renderFieldErrors();
+}
+
+function renderTechTags() {
+    const project = getSelectedProject();
+    const tags = document.getElementById('tech-tags');
+    const tech = project && Array.isArray(project.tech) ? project.tech : [];
+
+    tags.innerHTML = html`${tech.map((name, index) => html`
+        <span class="tag editor-tag">
+            ${name}
+            <button type="button" data-tech-index="${index}" aria-label="Remove ${name}">×</button>
+        </span>
+    `)}`;
+}
+
+function renderProjectPreview() {
+    const preview = document.getElementById('project-preview');
+    const project = getSelectedProject();
+
+    preview.innerHTML = '';
+    if (!project) return;
+
+    try {
+        preview.appendChild(createProjectCard(project));
+    } catch (error) {
+        preview.innerHTML = html`<p class="admin__status admin__status--error">Preview unavailable: ${error.message}</p>`;
+    }
+}
+
+// Schema errors for the whole file; paths look like ['projects', 2, 'tech']
+function getProjectErrors() {
+    return projectsSchema ? validateAgainstSchema(editorData, projectsSchema) : [];
+}
+
+// Show the selected project's errors next to its fields
+function renderFieldErrors() {
+    const form = document.getElementById('project-form');
+    const errors = getProjectErrors().filter(error => error.path[1] === selectedProjectIndex);
+
+    const errorFields = [...form.querySelectorAll('[data-error-for]')].map(element => element.dataset.errorFor);
+
+    form.querySelectorAll('[data-error-for]').forEach(element => {
+        const field = element.dataset.errorFor;
+        const fieldErrors = errors.filter(error => error.path[2] === field);
+        element.textContent = fieldErrors.map(error => error.message).join('; ');
+
+        const input = form.elements[field];
+        if (input && input.classList) input.classList.toggle('invalid', fieldErrors.length > 0);
+    });
+
+    // Errors on fields without an input (e.g. longDescription, typos)
+    const otherErrors = errors.filter(error => !errorFields.includes(error.path[2]));
+    const otherList = document.getElementById('project-other-errors');
+    otherList.innerHTML = html`${otherErrors.map(error => html`
+        <li>${formatDataPath(error.path.slice(2))} ${error.message}</li>
+    `)}`;
+    otherList.hidden = !otherErrors.length;
+}
+
+function handleProjectSelect(e) {
+    const button = e.target.closest('[data-index]');
+    if (!button) return;
+
+    selectedProjectIndex = Number(button.dataset.index);
+    renderProjectsEditor();
+    document.getElementById('project-title').focus();
+}
+
+function handleProjectInput(e) {
+    const project = getSelectedProject();
+    const field = e.target.dataset.field || e.target.name;
+    if (!project || !field || field === 'id') return;
+
+    if (e.target.dataset.fieldLocale) {
+        project[field] = withLocalizedText(project[field], e.target.dataset.fieldLocale, e.target.value);
+    } else {
+        project[field] = e.target.value;
+    }
+    markChanged();
+
+    renderProjectList();
+    renderProjectPreview();
+    renderFieldErrors();
+}
+
+function handleTechKeydown(e) {
+    const input = e.target;
+    const project = getSelectedProject();
+    if (!project) return;
+
+    if (!Array.isArray(project.tech)) project.tech = [];
+
+    if (e.key === 'Enter' || e.key === ',') {
+        e.preventDefault();
+        const name = input.value.trim();
+        if (!name) return;
+
+        if (project.tech.some(tech => tech.toLowerCase() === name.toLowerCase())) {
+            showEditorStatus(`"${name}" is already listed.`, true);
+        } else {
+            project.tech.push(name);
+            markChanged();
+        }
+        input.value = '';
+    } else if (e.key === 'Backspace' && !input.value && project.tech.length) {
+        project.tech.pop();
+        markChanged();
+    } else {
+        return;
+    }
+
+    renderTechTags();
+    renderProjectPreview();
+    renderFieldErrors();
+}
+
+function handleTechRemove(e) {
+    const button = e.target.closest('[data-tech-index]');
+    const project = getSelectedProject();
+    if (!button || !project) return;
+
+    project.tech.splice(Number(button.dataset.techIndex), 1);
+    markChanged();
+
+    renderTechTags();
+    renderProjectPreview();
+    renderFieldErrors();
+    document.getElementById('tech-input').focus();
+}
+
+function addProject() {
+    const nextId = editorData.projects.reduce((max, project) => Math.max(max, Number(project.id) || 0), 0) + 1;
+
+    editorData.projects.push({
+        id: nextId,
+        title: 'New project',
+        description: '',
+        tech: [],
+        image: '',
+        demo: '',
+        github: '',
+        type: 'fullstack'
+    });
+    selectedProjectIndex = editorData.projects.length - 1;
+    markChanged();
+
+    renderProjectsEditor();
+    document.getElementById('project-title').focus();
+}
+
+function deleteProject() {
+    const project = getSelectedProject();
+    if (!project || !window.confirm(`Delete "${getLocalizedText(project.title, 'en')}"?`)) return;
+
+    editorData.projects.splice(selectedProjectIndex, 1);
+    selectedProjectIndex = Math.max(0, selectedProjectIndex - 1);
+    markChanged();
+    renderProjectsEditor();
+}
+
+function moveProject(offset) {
+    const target = selectedProjectIndex + offset;
+    const projects = editorData.projects;
+    if (target < 0 || target >= projects.length) return;
+
+    [projects[selectedProjectIndex], projects[target]] = [projects[target], projects[selectedProjectIndex]];
+    selectedProjectIndex = target;
+    markChanged();
+    renderProjectsEditor();
+}
+
+// Lists every schema error in the file; returns true when there are none
+function checkProjectsData() {
+    const errors = getProjectErrors();
+    const errorList = document.getElementById('editor-errors');
+
+    errorList.innerHTML = html`${errors.map(error => html`
+        <li>${describeDataEntry(editorData, error.path.slice(0, 2))}: ${formatDataPath(error.path)} ${error.message}</li>
+    `)}`;
+    errorList.hidden = !errors.length;
+
+    renderProjectList();
+    renderFieldErrors();
+
+    return !errors.length;
+}
+
+function exportProjects() {
+    if (!projectsSchema) {
+        showEditorStatus('The schema is not loaded, so the data cannot be checked. Reload the page.', true);
+        return;
+    }
+
+    if (!checkProjectsData()) {
+        showEditorStatus('Fix the errors listed below before downloading.', true);
+        return;
+    }
+
+    const blob = new Blob([`${JSON.stringify(editorData, null, 2)}\n`], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'projects.json';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+
+    hasUnsavedChanges = false;
+    showEditorStatus('projects.json downloaded. Replace data/projects.json with it to publish.');
+}
+
+function importProjects(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    if (hasUnsavedChanges && !window.confirm('Discard your changes and import this file?')) {
+        e.target.value = '';
+        return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        // setEditorData() clears the unsaved flag only once it accepts the data
+        try {
+            setEditorData(JSON.parse(reader.result), `Imported ${file.name}.`);
+        } catch (error) {
+            showEditorStatus(`${file.name} is not valid JSON: ${error.message}`, true);
+        }
+        e.target.value = '';
+    };
+    reader.onerror = () => {
+        showEditorStatus(`Could not read ${file.name}.`, true);
+        e.target.value = '';
+    };
+    reader.readAsText(file);
+}
+
+function showEditorStatus(message, isError = false) {
+    const status = document.getElementById('editor-status');
+    status.textContent = message;
+    status.classList.toggle('admin__status--error', isError);
+}
@@ -0,0 +1,363 @@
+/**
+ * Skills Editor (admin)
+ * Edits the skills loaded by SkillsManager, previews the cards live and exports skills.json.
+ * Edits stay in memory until "Save Changes" (the draft the site shows) or the download.
+ */
+
+let hasUnsavedChanges = false;
+
+// Starts once SkillsManager has loaded the skills
+registerModule('skills-editor', {
+    dependsOn: ['skills'],
+    init: initSkillsEditor
+});
+
+function initSkillsEditor({ signal }) {
+    const editor = document.getElementById('skills-editor');
+    if (!editor) return;
+
+    // Category name inputs declare data-rule="identifier unused-category" (see form-rules.js)
+    registerValidator('unused-category', (value, field) => (
+        value !== field.defaultValue && Object.hasOwn(getSkillCategories(), value) ? { key: 'validation.unique' } : null
+    ));
+
+    editor.addEventListener('input', handleSkillInput, { signal });
+    editor.addEventListener('change', handleCategoryRename, { signal });
+    editor.addEventListener('click', handleEditorAction, { signal });
+
+    document.getElementById('add-category').addEventListener('click', addCategory, { signal });
+    document.getElementById('export-skills').addEventListener('click', exportSkills, { signal });
+    document.getElementById('reset-skills').addEventListener('click', resetSkillsToPublished, { signal });
+
+    window.addEventListener('beforeunload', (e) => {
+        if (hasUnsavedChanges) {
+            e.preventDefault();
+            e.returnValue = '';
+        }
+    }, { signal });
+
+    if (!skillsManager.skillsData) {
+        editor.replaceChildren();
+        showEditorStatus('data/skills.json could not be loaded and there is no draft in this browser.', true);
+        return;
+    }
+
+    showDraftStatus();
+    refreshSkillsEditor();
+}
+
+// SkillsManager loads this browser's draft instead of data/skills.json when there is one
+function showDraftStatus() {
+    const isDraft = skillsManager.dataSource === 'local';
+    document.getElementById('reset-skills').hidden = !isDraft;
+
+    if (isDraft) {
+        const savedAt = new Date(skillsManager.draftSavedAt);
+        showEditorStatus(`Editing the draft saved in this browser${Number.isNaN(savedAt.getTime()) ? '' : ` on ${savedAt.toLocaleString()}`}.`);
+    }
+}
+
+async function resetSkillsToPublished() {
+    if (!window.confirm('Discard the draft saved in this browser and reload data/skills.json?')) return;
+
+    await skillsManager.resetToPublished();
+    if (!skillsManager.skillsData) {
+        document.getElementById('skills-editor').replaceChildren();
+        document.getElementById('skills-preview').replaceChildren();
+        showEditorStatus('The draft was discarded, but data/skills.json could not be loaded.', true);
+        return;
+    }
+
+    hasUnsavedChanges = false;
+    refreshSkillsEditor();
+    document.getElementById('reset-skills').hidden = true;
+    showEditorStatus('Draft discarded. You are editing the published data/skills.json.');
+}
+
+function markChanged() {
+    hasUnsavedChanges = true;
+}
+
+function getSkillCategories() {
+    return skillsManager.skillsData.skills;
+}
+
+function refreshSkillsEditor() {
+    renderSkillsEditor();
+    renderSkillsPreview();
+}
+
+function renderSkillsEditor() {
+    const editor = document.getElementById('skills-editor');
+    const categories = Object.entries(getSkillCategories());
+
+    editor.innerHTML = html`${categories.map(([category, skills]) => html`
+        <section class="editor-category" data-category="${category}">
+            <header class="editor-category__header">
+                <label class="editor-field">
+                    <span class="editor-field__label">Category</span>
+                    <input class="editor-input" data-category-name value="${category}" required
+                           data-rule="identifier unused-category">
+                </label>
+                <div class="editor-actions">
+                    <button type="button" data-action="category-up" aria-label="Move ${category} up">↑</button>
+                    <button type="button" data-action="category-down" aria-label="Move ${category} down">↓</button>
+                    <button type="button" data-action="category-remove">Remove category</button>
+                </div>
+            </header>
+            ${skills.map((skill, index) => html`
+                <div class="editor-skill" data-index="${index}">
+                    <label class="editor-field">
+                        <span class="editor-field__label">Name</span>
+                        <input class="editor-input" data-field="name" value="${skill.name}" required>
+                    </label>
+                    <label class="editor-field editor-field--level">
+                        <span class="editor-field__label">Level</span>
+                        <input type="range" data-field="level" min="0" max="100" value="${skill.level}">
+                        <input class="editor-input editor-input--narrow" type="number" data-field="level" min="0" max="100" value="${skill.level}" aria-label="Level of ${skill.name}">
+                    </label>
+                    <label class="editor-field">
+                        <span class="editor-field__label">Years</span>
+                        <input class="editor-input editor-input--narrow" type="number" data-field="years" min="0" step="0.5" value="${skill.years ?? ''}">
+                    </label>
+                    <label class="editor-field">
+                        <span class="editor-field__label">Icon</span>
+                        <input class="editor-input editor-input--narrow" data-field="icon" value="${skill.icon ?? ''}">
+                    </label>
+                    <label class="editor-field editor-field--wide">
+                        <span class="editor-field__label">Description</span>
+                        <input class="editor-input" data-field="description" data-field-locale="en"
+                               value="${getLocalizedText(skill.description, 'en')}">
+                    </label>
+                    <label class="editor-field editor-field--wide">
+                        <span class="editor-field__label">Description (Bahasa Indonesia, optional)</span>
+                        <input class="editor-input" data-field="description" data-field-locale="id" lang="id"
+                               value="${getLocalizedText(skill.description, 'id')}">
+                    </label>
+                    <div class="editor-actions">
+                        <button type="button" data-action="skill-up" aria-label="Move ${skill.name} up">↑</button>
+                        <button type="button" data-action="skill-down" aria-label="Move ${skill.name} down">↓</button>
+                        <button type="button" data-action="skill-remove" aria-label="Remove ${skill.name}">✕</button>
+                    </div>
+                </div>
+            `)}
+            <button type="button" class="editor-add" data-action="skill-add">+ Add skill</button>
+        </section>
+    `)}`;
+}
+
+// Live cards built with the same markup as the public page
+function renderSkillsPreview() {
+    const preview = document.getElementById('skills-preview');
+    const categories = Object.entries(getSkillCategories());
+
+    preview.innerHTML = html`${categories.map(([category, skills]) => html`
+        <h3 class="admin__preview-title">${category}</h3>
+        <div class="${category === 'softSkills' ? 'skills__badges' : 'skills__list'}">
+            ${skills.map(skill => (category === 'softSkills'
+                ? skillsManager.createSoftSkillBadge(skill)
+                : skillsManager.createSkillElement(skill)))}
+        </div>
+    `)}`;
+
+    // Show the progress bars at their final width (no scroll animation in the preview)
+    preview.querySelectorAll('.skill, .soft-skill-badge').forEach(skill => {
+        const bar = skill.querySelector('.skill__progress, .soft-skill-badge__progress-bar');
+        if (bar) bar.style.width = `${skill.dataset.skillLevel}%`;
+    });
+
+    skillsManager.calculateAndDisplayStats({ animate: false });
+}
+
+function getSkillRowContext(element) {
+    const section = element.closest('[data-category]');
+    const row = element.closest('[data-index]');
+    if (!section) return null;
+
+    const category = section.dataset.category;
+    const skills = getSkillCategories()[category];
+    const index = row ? Number(row.dataset.index) : -1;
+
+    return { category, skills, index, skill: skills[index], row };
+}
+
+function handleSkillInput(e) {
+    const field = e.target.dataset.field;
+    const context = field && getSkillRowContext(e.target);
+    if (!context || !context.skill) return;
+
+    const { category, skill, row } = context;
+    const value = e.target.value;
+
+    if (field === 'level') {
+        const level = Math.round(Number(value) || 0);
+
+        // Keep the slider and the number box in step
+        row.querySelectorAll('[data-field="level"]').forEach(input => {
+            if (input !== e.target) input.value = level;
+        });
+
+        skill.level = Math.min(100, Math.max(0, level));
+    } else if (field === 'years') {
+        if (value === '') delete skill.years;
+        else skill.years = Number(value);
+    } else if (field === 'name') {
+        skill.name = value;
+    } else if (e.target.dataset.fieldLocale) {
+        // Per-locale text: a plain string until a translation is added
+        const text = withLocalizedText(skill[field], e.target.dataset.fieldLocale, value);
+        if (text === '') delete skill[field];
+        else skill[field] = text;
+    } else if (value === '') {
+        delete skill[field];
+    } else {
+        skill[field] = value;
+    }
+
+    markChanged();
+    renderSkillsPreview();
+}
+
+function handleCategoryRename(e) {
+    if (!e.target.hasAttribute('data-category-name')) return;
+
+    const oldKey = e.target.closest('[data-category]').dataset.category;
+    const newKey = e.target.value.trim();
+    const categories = getSkillCategories();
+
+    if (newKey === oldKey) return;
+
+    const error = getFieldError(e.target);
+    if (error) {
+        showEditorStatus(`"${newKey}": ${formatValidationMessage(error)}`, true);
+        e.target.value = oldKey;
+        return;
+    }
+
+    // Rebuild the object so the category keeps its position
+    skillsManager.skillsData.skills = Object.fromEntries(
+        Object.entries(categories).map(([key, skills]) => [key === oldKey ? newKey : key, skills])
+    );
+    markChanged();
+    refreshSkillsEditor();
+}
+
+function moveItem(list, index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= list.length) return false;
+    [list[index], list[target]] = [list[target], list[index]];
+    return true;
+}
+
+function handleEditorAction(e) {
+    const button = e.target.closest('[data-action]');
+    const context = button && getSkillRowContext(button);
+    if (!context) return;
+
+    const { category, skills, index } = context;
+    const entries = Object.entries(getSkillCategories());
+    const categoryIndex = entries.findIndex(([key]) => key === category);
+
+    switch (button.dataset.action) {
+        case 'skill-add':
+            skills.push({ name: 'New skill', level: 50, icon: '⭐' });
+            break;
+        case 'skill-remove':
+            skills.splice(index, 1);
+            break;
+        case 'skill-up':
+            moveItem(skills, index, -1);
+            break;
+        case 'skill-down':
+            moveItem(skills, index, 1);
+            break;
+        case 'category-up':
+        case 'category-down':
+            if (moveItem(entries, categoryIndex, button.dataset.action === 'category-up' ? -1 : 1)) {
+                skillsManager.skillsData.skills = Object.fromEntries(entries);
+            }
+            break;
+        case 'category-remove':
+            if (!window.confirm(`Remove the "${category}" category and its ${skills.length} skills?`)) return;
+            delete getSkillCategories()[category];
+            break;
+        default:
+            return;
+    }
+
+    markChanged();
+    refreshSkillsEditor();
+}
+
+function addCategory() {
+    const input = document.getElementById('new-category-name');
+    const key = input.value.trim();
+
+    const error = getFieldError(input);
+    if (error) {
+        showEditorStatus(`"${key}": ${formatValidationMessage(error)}`, true);
+        input.focus();
+        return;
+    }
+
+    getSkillCategories()[key] = [];
+    input.value = '';
+    markChanged();
+    refreshSkillsEditor();
+}
+
+// Returns true when the edited data matches data/schemas/skills.schema.json
+async function checkSkillsData() {
+    const schema = await loadDataSchema('skills');
+    const errors = validateAgainstSchema(skillsManager.skillsData, schema);
+    const errorList = document.getElementById('editor-errors');
+
+    errorList.innerHTML = html`${errors.map(error => html`
+        <li>${formatDataPath(error.path)} ${error.message}</li>
+    `)}`;
+    errorList.hidden = !errors.length;
+
+    return !errors.length;
+}
+
+// Called by the "Save Changes" button; the only place the editor writes the draft
+async function saveSkills() {
+    if (!(await checkSkillsData())) {
+        showEditorStatus('Fix the errors below before saving.', true);
+        return;
+    }
+
+    if (!skillsManager.saveToLocalStorage()) {
+        showEditorStatus('The draft could not be saved in this browser (storage is full or blocked).', true);
+        return;
+    }
+
+    hasUnsavedChanges = false;
+    document.getElementById('reset-skills').hidden = false;
+    showEditorStatus('Draft saved in this browser; the site shows it here until you reset it. Download skills.json to publish it.');
+}
+
+async function exportSkills() {
+    if (!(await checkSkillsData())) {
+        showEditorStatus('Fix the errors below before exporting.', true);
+        return;
+    }
+
+    const blob = new Blob([`${JSON.stringify(skillsManager.skillsData, null, 2)}\n`], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'skills.json';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+
+    hasUnsavedChanges = false;
+    showEditorStatus('skills.json downloaded. Replace data/skills.json with it to publish.');
+}
+
+function showEditorStatus(message, isError = false) {
+    const status = document.getElementById('editor-status');
+    status.textContent = message;
+    status.classList.toggle('admin__status--error', isError);
+}
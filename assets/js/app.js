@@ -0,0 +1,132 @@
+/**
+ * Application Bootstrap
+ * Loaded without defer in <head>, before the features.
+ * Every feature registers itself as a module; they are all started once the DOM is ready:
+ *
+ *   registerModule('projects', {
+ *       dependsOn: ['i18n'],           // started after these (script order does not matter)
+ *       init({ signal }) { ... },      // may be async; listeners added with { signal } are
+ *       destroy() { ... }              // removed automatically when the module stops
+ *   });
+ *
+ * A module that throws is reported and marked as failed; the others still start (only the
+ * modules that depend on it are skipped). Modules whose dependsOn lead back to themselves
+ * fail with the cycle in the error instead of waiting for each other forever.
+ *
+ * appEvents is the shared event bus (document events underneath, so plain
+ * document.addEventListener('themeChanged', ...) keeps working):
+ *
+ *   appEvents.on('projects:loaded', ({ projects }) => ..., { signal });
+ *   appEvents.emit('projects:loaded', { projects });
+ */
+
+const appModules = new Map();
+let appStarted = false;
+
+const appEvents = {
+    // Returns a function that removes the handler
+    on(type, handler, { signal, once = false } = {}) {
+        const listener = (e) => handler(e.detail, e);
+        document.addEventListener(type, listener, { signal, once });
+        return () => document.removeEventListener(type, listener);
+    },
+
+    emit(type, detail = {}) {
+        document.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+};
+
+function registerModule(name, { init = () => {}, destroy = () => {}, dependsOn = [] } = {}) {
+    if (appModules.has(name)) {
+        console.warn(`Module "${name}" is already registered`);
+        return;
+    }
+
+    const module = { name, init, destroy, dependsOn, status: 'registered', ready: null, controller: null };
+    appModules.set(name, module);
+
+    // Scripts added after startup start right away
+    if (appStarted) startModule(module).catch(() => {});
+}
+
+// The chain of dependsOn that leads back to `module`, e.g. ['a', 'b', 'a'], or null
+function findDependencyCycle(module, path = [module.name]) {
+    for (const dependencyName of module.dependsOn) {
+        if (dependencyName === path[0]) return [...path, dependencyName];
+
+        const dependency = appModules.get(dependencyName);
+        if (!dependency || path.includes(dependencyName)) continue;
+
+        const cycle = findDependencyCycle(dependency, [...path, dependencyName]);
+        if (cycle) return cycle;
+    }
+    return null;
+}
+
+// Starts a module once its dependencies are running; the same promise is returned to every caller
+function startModule(module) {
+    if (!module.ready) {
+        module.ready = (async () => {
+            const cycle = findDependencyCycle(module);
+            if (cycle) throw new Error(`is in a dependency cycle: ${cycle.join(' → ')}`);
+
+            for (const dependencyName of module.dependsOn) {
+                const dependency = appModules.get(dependencyName);
+                if (!dependency) throw new Error(`depends on "${dependencyName}", which is not loaded`);
+                await startModule(dependency).catch(() => {
+                    throw new Error(`depends on "${dependencyName}", which failed to start`);
+                });
+            }
+
+            module.status = 'starting';
+            module.controller = new AbortController();
+            await module.init({ signal: module.controller.signal });
+            module.status = 'running';
+            appEvents.emit('module:ready', { name: module.name });
+        })().catch((error) => {
+            module.status = 'failed';
+            console.error(`Module "${module.name}" failed to start:`, error);
+            throw error;
+        });
+    }
+    return module.ready;
+}
+
+// Resolves when the module is running, rejects if it failed or is not loaded
+function whenModuleReady(name) {
+    const module = appModules.get(name);
+    if (!module) return Promise.reject(new Error(`Module "${name}" is not loaded`));
+    return appStarted ? startModule(module) : new Promise((resolve, reject) => {
+        document.addEventListener('DOMContentLoaded', () => startModule(module).then(resolve, reject));
+    });
+}
+
+function stopModule(name) {
+    const module = appModules.get(name);
+    if (!module || module.status !== 'running') return;
+
+    module.controller.abort();
+    try {
+        module.destroy();
+    } catch (error) {
+        console.error(`Module "${name}" failed to stop:`, error);
+    }
+    module.status = 'stopped';
+    module.ready = null;
+}
+
+// Starts every module; resolves with each one's status when all have settled
+async function startApp() {
+    appStarted = true;
+    const modules = [...appModules.values()];
+    await Promise.allSettled(modules.map(startModule));
+    return Object.fromEntries(modules.map(module => [module.name, module.status]));
+}
+
+function stopApp() {
+    [...appModules.keys()].reverse().forEach(stopModule);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    startApp();
+});
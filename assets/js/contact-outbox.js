@@ -0,0 +1,190 @@
+/**
+ * Contact Outbox
+ * Keeps contact messages that could not be sent because of the network in IndexedDB and
+ * sends them later: from the service worker via Background Sync where supported, otherwise
+ * when the browser comes back online or on the next visit.
+ *
+ * Used by the page (form-validation.js) and by sw.js through importScripts(), so nothing
+ * here may touch the DOM outside the page-only init at the bottom.
+ */
+
+const CONTACT_OUTBOX_DB = 'portfolio-outbox';
+const CONTACT_OUTBOX_STORE = 'messages';
+const CONTACT_OUTBOX_SYNC_TAG = 'contact-outbox';
+const MAX_OUTBOX_ATTEMPTS = 5;
+
+// A message being sent by one context (page or worker) is skipped by the others this long
+const OUTBOX_CLAIM_TTL = 60000;
+
+// Errors worth another try later; anything else means the server refused the message
+function isRetryableContactError(error) {
+    return ['network', 'timeout'].includes(error.code) ||
+        (error.code === 'http' && (error.status === 408 || error.status === 429 || error.status >= 500));
+}
+
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openContactOutbox() {
+    const request = indexedDB.open(CONTACT_OUTBOX_DB, 1);
+    request.onupgradeneeded = () => {
+        request.result.createObjectStore(CONTACT_OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+    };
+    return idbRequest(request);
+}
+
+// Runs callback(store) in a transaction and resolves with its result once committed
+async function withOutboxStore(mode, callback) {
+    const db = await openContactOutbox();
+    try {
+        const transaction = db.transaction(CONTACT_OUTBOX_STORE, mode);
+        const complete = new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+        const [result] = await Promise.all([callback(transaction.objectStore(CONTACT_OUTBOX_STORE)), complete]);
+        return result;
+    } finally {
+        db.close();
+    }
+}
+
+// Only the settings a transport needs are stored, not the whole form config
+function queueContactMessage(payload, transportName, config) {
+    const entry = {
+        payload,
+        transport: transportName,
+        config: {
+            endpoint: config.endpoint,
+            encoding: config.encoding,
+            formName: config.formName,
+            timeout: config.timeout
+        },
+        queuedAt: new Date().toISOString(),
+        attempts: 0,
+        claimedAt: 0
+    };
+    return withOutboxStore('readwrite', store => idbRequest(store.add(entry)));
+}
+
+function getQueuedContactMessages() {
+    return withOutboxStore('readonly', store => idbRequest(store.getAll()));
+}
+
+// Marks a message as being sent; resolves with null if another context is already on it
+function claimQueuedContactMessage(id) {
+    return withOutboxStore('readwrite', async store => {
+        const entry = await idbRequest(store.get(id));
+        if (!entry || Date.now() - entry.claimedAt < OUTBOX_CLAIM_TTL) return null;
+
+        entry.claimedAt = Date.now();
+        await idbRequest(store.put(entry));
+        return entry;
+    });
+}
+
+function releaseQueuedContactMessage(entry) {
+    return withOutboxStore('readwrite', store => idbRequest(store.put({
+        ...entry,
+        attempts: entry.attempts + 1,
+        claimedAt: 0
+    })));
+}
+
+function removeQueuedContactMessage(id) {
+    return withOutboxStore('readwrite', store => idbRequest(store.delete(id)));
+}
+
+// Tries every queued message once; resolves with { sent, dropped, remaining }
+async function flushContactOutbox() {
+    const result = { sent: [], dropped: [], remaining: 0 };
+    const entries = await getQueuedContactMessages();
+
+    for (const { id } of entries) {
+        const entry = await claimQueuedContactMessage(id);
+        if (!entry) {
+            result.remaining++;
+            continue;
+        }
+
+        const transport = contactTransports[entry.transport];
+        try {
+            if (!transport) throw new ContactSubmissionError(`Unknown transport "${entry.transport}"`, { code: 'config' });
+            await transport.send(entry.payload, entry.config);
+            await removeQueuedContactMessage(id);
+            result.sent.push(entry);
+        } catch (error) {
+            if (isRetryableContactError(error) && entry.attempts + 1 < MAX_OUTBOX_ATTEMPTS) {
+                await releaseQueuedContactMessage(entry);
+                result.remaining++;
+            } else {
+                console.error('Dropping queued contact message:', error);
+                await removeQueuedContactMessage(id);
+                result.dropped.push({ entry, error });
+            }
+        }
+    }
+
+    return result;
+}
+
+// Page only: ask the service worker to send the outbox when the connection is back
+async function requestContactOutboxSync() {
+    if (!('serviceWorker' in navigator)) return false;
+
+    try {
+        const registration = await navigator.serviceWorker.getRegistration();
+        if (!registration || !registration.sync) return false;
+        await registration.sync.register(CONTACT_OUTBOX_SYNC_TAG);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Page only: announce what a flush did (lists of outbox entries), so the contact form can tell the visitor
+function announceContactOutbox({ sent, dropped }) {
+    if (!sent.length && !dropped.length) return;
+    appEvents.emit('contactOutboxFlushed', { sent: sent.length, dropped: dropped.map(entry => entry.payload) });
+}
+
+async function retryContactOutbox() {
+    if (typeof indexedDB === 'undefined' || !navigator.onLine) return;
+
+    try {
+        const result = await flushContactOutbox();
+        announceContactOutbox({ sent: result.sent, dropped: result.dropped.map(({ entry }) => entry) });
+    } catch (error) {
+        console.error('Contact outbox retry failed:', error);
+    }
+}
+
+// Page only: retry on start-up and when the connection comes back; hear about worker flushes
+function initContactOutbox({ signal } = {}) {
+    window.addEventListener('online', retryContactOutbox, { signal });
+
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data && event.data.type === 'CONTACT_OUTBOX_FLUSHED') {
+                announceContactOutbox(event.data.result);
+            }
+        }, { signal });
+    }
+
+    retryContactOutbox();
+}
+
+// The worker has no app bootstrap
+if (typeof registerModule === 'function') {
+    registerModule('contact-outbox', {
+        init({ signal }) {
+            initContactOutbox({ signal });
+        }
+    });
+}
+
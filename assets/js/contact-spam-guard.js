@@ -0,0 +1,147 @@
+/**
+ * Contact Form Spam Guard
+ * Client-side checks run before a message is sent: a honeypot field, a minimum time to fill
+ * in the form, a rate limit and duplicate detection kept in localStorage, and an optional
+ * challenge (proof of work, or a captcha registered with registerContactChallenge()).
+ *
+ * These only stop simple bots. Everything measured here is also sent with the message
+ * (see buildContactSpamMeta()) so the server can check it again.
+ *
+ * Settings can be overridden with data attributes on #contact-form:
+ *   data-min-submit-seconds="3"   data-rate-limit="3" (messages)   data-rate-limit-minutes="60"
+ *   data-challenge="pow"          data-pow-difficulty="4" (leading zero hex digits)
+ *   data-pow-max-seconds="10"     (the proof of work gives up after this long)
+ */
+
+const CONTACT_HONEYPOT_FIELD = '_gotcha';
+const CONTACT_HISTORY_KEY = 'portfolio-contact-history';
+
+const DEFAULT_SPAM_SETTINGS = {
+    minSubmitSeconds: 3,
+    rateLimit: 3,
+    rateLimitMinutes: 60,
+    duplicateHours: 24,
+    challenge: '',
+    powDifficulty: 4,
+    powMaxSeconds: 10
+};
+
+// Hashes tried between yields to the event loop, so the page stays responsive
+const POW_CHUNK_SIZE = 200;
+
+function getContactSpamSettings(form) {
+    const { dataset } = form;
+    const number = (value, fallback) => (value !== undefined && value !== '' && !isNaN(value) ? Number(value) : fallback);
+
+    return {
+        minSubmitSeconds: number(dataset.minSubmitSeconds, DEFAULT_SPAM_SETTINGS.minSubmitSeconds),
+        rateLimit: number(dataset.rateLimit, DEFAULT_SPAM_SETTINGS.rateLimit),
+        rateLimitMinutes: number(dataset.rateLimitMinutes, DEFAULT_SPAM_SETTINGS.rateLimitMinutes),
+        duplicateHours: DEFAULT_SPAM_SETTINGS.duplicateHours,
+        challenge: dataset.challenge || DEFAULT_SPAM_SETTINGS.challenge,
+        powDifficulty: number(dataset.powDifficulty, DEFAULT_SPAM_SETTINGS.powDifficulty),
+        powMaxSeconds: number(dataset.powMaxSeconds, DEFAULT_SPAM_SETTINGS.powMaxSeconds)
+    };
+}
+
+// Same text with different spacing or case counts as the same message (hashString() is in hash.js)
+function getContactFingerprint(payload) {
+    const normalized = `${payload.email}|${payload.message}`.toLowerCase().replace(/\s+/g, ' ').trim();
+    return hashString(normalized).toString(16);
+}
+
+// Earlier submissions from this browser: [{ at: timestamp, fingerprint }]
+function readContactHistory(settings) {
+    const oldest = Date.now() - Math.max(settings.rateLimitMinutes * 60000, settings.duplicateHours * 3600000);
+
+    try {
+        const history = JSON.parse(localStorage.getItem(CONTACT_HISTORY_KEY) || '[]');
+        return Array.isArray(history) ? history.filter(entry => entry && entry.at > oldest) : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function recordContactSubmission(meta, settings) {
+    const history = readContactHistory(settings);
+    history.push({ at: Date.now(), fingerprint: meta.fingerprint });
+
+    try {
+        localStorage.setItem(CONTACT_HISTORY_KEY, JSON.stringify(history));
+    } catch (error) {
+        // Private mode or storage full: the rate limit just does not persist
+    }
+}
+
+// What the checks measured; sent with the message as payload.antiSpam
+function buildContactSpamMeta(payload, { honeypot, startedAt, settings }) {
+    const history = readContactHistory(settings);
+    const rateWindowStart = Date.now() - settings.rateLimitMinutes * 60000;
+    const duplicateWindowStart = Date.now() - settings.duplicateHours * 3600000;
+    const fingerprint = getContactFingerprint(payload);
+
+    return {
+        honeypotFilled: Boolean(honeypot),
+        startedAt: new Date(startedAt).toISOString(),
+        elapsedMs: Date.now() - startedAt,
+        recentSubmissions: history.filter(entry => entry.at > rateWindowStart).length,
+        duplicate: history.some(entry => entry.at > duplicateWindowStart && entry.fingerprint === fingerprint),
+        fingerprint
+    };
+}
+
+// Returns the reason a submission is refused, or '' if it may be sent
+function getContactSpamReason(meta, settings) {
+    if (meta.honeypotFilled) return 'honeypot';
+    if (meta.elapsedMs < settings.minSubmitSeconds * 1000) return 'too-fast';
+    if (meta.recentSubmissions >= settings.rateLimit) return 'rate-limit';
+    if (meta.duplicate) return 'duplicate';
+    return '';
+}
+
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Challenges resolve with data for payload.antiSpam.challenge, or reject to refuse the message
+const contactChallenges = {
+    // Find a nonce so that sha256("<fingerprint>|<timestamp>|<nonce>") starts with `difficulty` zeros.
+    // Gives up after powMaxSeconds, so a difficulty set too high cannot hang the form.
+    pow: {
+        async run(payload, settings, meta) {
+            if (typeof crypto === 'undefined' || !crypto.subtle) return null;
+
+            const prefix = '0'.repeat(settings.powDifficulty);
+            const input = `${meta.fingerprint}|${payload.timestamp}`;
+            const deadline = Date.now() + settings.powMaxSeconds * 1000;
+
+            for (let nonce = 0; Date.now() < deadline; nonce++) {
+                const hash = await sha256Hex(`${input}|${nonce}`);
+                if (hash.startsWith(prefix)) {
+                    return { type: 'pow', input, nonce, difficulty: settings.powDifficulty, hash };
+                }
+                if (nonce % POW_CHUNK_SIZE === POW_CHUNK_SIZE - 1) {
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+            }
+
+            throw new ContactSubmissionError(
+                `No proof of work at difficulty ${settings.powDifficulty} within ${settings.powMaxSeconds}s`,
+                { code: 'challenge' }
+            );
+        }
+    }
+};
+
+// e.g. a captcha widget: registerContactChallenge('turnstile', { run: async () => ({ token }) })
+function registerContactChallenge(name, challenge) {
+    contactChallenges[name] = challenge;
+}
+
+async function runContactChallenge(payload, settings, meta) {
+    const challenge = contactChallenges[settings.challenge];
+    if (!settings.challenge) return null;
+    if (!challenge) throw new Error(`Unknown contact challenge "${settings.challenge}"`);
+    return challenge.run(payload, settings, meta);
+}
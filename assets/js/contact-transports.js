@@ -0,0 +1,198 @@
+/**
+ * Contact Form Transports
+ * Sends contact messages. The transport is chosen by data attributes on #contact-form:
+ *
+ *   data-transport="json|mailto|dev"   primary transport
+ *   data-endpoint="https://..."        JSON transport: URL to POST to (Formspree, Netlify, own API)
+ *   data-encoding="json|urlencoded"    JSON transport: body format (Netlify forms want urlencoded)
+ *   data-timeout="10000"               JSON transport: milliseconds before giving up
+ *   data-mailto="me@example.com"       mailto transport: recipient
+ *   data-fallback-transport="mailto"   used when the primary transport is not configured
+ *
+ * Transports resolve with { message?, messageKey?, handedOff? } on success (a server's own text,
+ * or a dictionary key for text of their own) and reject with a ContactSubmissionError.
+ * handedOff means the message went to another app (mailto) and is not sent yet.
+ */
+
+const DEFAULT_CONTACT_TIMEOUT = 10000;
+
+class ContactSubmissionError extends Error {
+    constructor(message, { code = 'unknown', status = null, fieldErrors = {} } = {}) {
+        super(message);
+        this.name = 'ContactSubmissionError';
+        // 'timeout' | 'network' | 'http' | 'validation' | 'config' | 'challenge' | 'unknown'
+        this.code = code;
+        this.status = status;
+        // { email: 'Please use a real address', ... }
+        this.fieldErrors = fieldErrors;
+    }
+}
+
+// Accepts Formspree-style { errors: [{ field, message }] } and { errors: { field: message } }
+function parseFieldErrors(body) {
+    const errors = body && (body.errors || body.fieldErrors);
+    const fieldErrors = {};
+
+    if (Array.isArray(errors)) {
+        errors.forEach(error => {
+            if (error && error.field) {
+                fieldErrors[error.field] = error.message || 'This field is invalid';
+            }
+        });
+    } else if (errors && typeof errors === 'object') {
+        Object.entries(errors).forEach(([field, message]) => {
+            fieldErrors[field] = Array.isArray(message) ? message.join(' ') : String(message);
+        });
+    }
+
+    return fieldErrors;
+}
+
+// Overall error text from a response body, if the server sent one
+function parseErrorMessage(body) {
+    if (!body) return '';
+    if (typeof body.error === 'string') return body.error;
+    if (typeof body.message === 'string') return body.message;
+    if (Array.isArray(body.errors)) {
+        const general = body.errors.find(error => error && !error.field && error.message);
+        if (general) return general.message;
+    }
+    return '';
+}
+
+function encodeUrlencoded(payload, formName) {
+    const params = new URLSearchParams();
+    if (formName) params.set('form-name', formName);
+    Object.entries(payload).forEach(([key, value]) => {
+        params.set(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+    });
+    return params.toString();
+}
+
+const contactTransports = {
+    // POST to a form backend and map its response back onto the form
+    json: {
+        isConfigured: config => Boolean(config.endpoint),
+
+        async send(payload, config) {
+            const controller = new AbortController();
+            const timeout = Number(config.timeout) || DEFAULT_CONTACT_TIMEOUT;
+            const timer = setTimeout(() => controller.abort(), timeout);
+            const urlencoded = config.encoding === 'urlencoded';
+
+            let response;
+            try {
+                response = await fetch(config.endpoint, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': urlencoded ? 'application/x-www-form-urlencoded' : 'application/json',
+                        Accept: 'application/json'
+                    },
+                    body: urlencoded ? encodeUrlencoded(payload, config.formName) : JSON.stringify(payload),
+                    signal: controller.signal
+                });
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw new ContactSubmissionError(`No response after ${timeout}ms`, { code: 'timeout' });
+                }
+                throw new ContactSubmissionError(error.message, { code: 'network' });
+            } finally {
+                clearTimeout(timer);
+            }
+
+            // Not every backend answers with JSON (Netlify redirects to a thank-you page)
+            let body = null;
+            try {
+                body = await response.json();
+            } catch (error) {
+                body = null;
+            }
+
+            if (!response.ok) {
+                const fieldErrors = parseFieldErrors(body);
+                const hasFieldErrors = Object.keys(fieldErrors).length > 0;
+                throw new ContactSubmissionError(
+                    parseErrorMessage(body) || `HTTP ${response.status}`,
+                    { code: hasFieldErrors ? 'validation' : 'http', status: response.status, fieldErrors }
+                );
+            }
+
+            return { message: body && typeof body.message === 'string' ? body.message : '' };
+        }
+    },
+
+    // Opens the visitor's email app with subject and body filled in
+    mailto: {
+        isConfigured: config => Boolean(config.mailto),
+
+        async send(payload, config) {
+            const subject = payload.subject || `Portfolio contact from ${payload.name}`;
+            const body = `${payload.message}\n\n${payload.name} <${payload.email}>`;
+            const query = new URLSearchParams({ subject, body }).toString().replace(/\+/g, '%20');
+
+            window.location.href = `mailto:${encodeURIComponent(config.mailto).replace('%40', '@')}?${query}`;
+
+            return { messageKey: 'contact.mailtoOpened', handedOff: true };
+        }
+    },
+
+    // Logs the payload instead of sending it (local development)
+    dev: {
+        isConfigured: () => true,
+
+        async send(payload) {
+            console.log('Contact form (dev transport):', payload);
+            await new Promise(resolve => setTimeout(resolve, 500));
+            return { message: '' };
+        }
+    }
+};
+
+function registerContactTransport(name, transport) {
+    contactTransports[name] = transport;
+}
+
+function getContactTransportConfig(form) {
+    const { dataset } = form;
+    return {
+        transport: dataset.transport || 'dev',
+        fallbackTransport: dataset.fallbackTransport || '',
+        endpoint: dataset.endpoint || '',
+        encoding: dataset.encoding || 'json',
+        formName: form.getAttribute('name') || form.id,
+        timeout: dataset.timeout,
+        mailto: dataset.mailto || ''
+    };
+}
+
+// The configured transport, or the fallback when the primary one is missing settings
+function resolveContactTransport(config) {
+    const primary = contactTransports[config.transport];
+    if (primary && primary.isConfigured(config)) {
+        return { name: config.transport, transport: primary };
+    }
+
+    const fallback = contactTransports[config.fallbackTransport];
+    if (fallback && fallback.isConfigured(config)) {
+        return { name: config.fallbackTransport, transport: fallback };
+    }
+
+    throw new ContactSubmissionError(`Contact transport "${config.transport}" is not configured`, { code: 'config' });
+}
+
+async function sendContactMessage(payload, config) {
+    const { transport } = resolveContactTransport(config);
+    return transport.send(payload, config);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ContactSubmissionError,
+        contactTransports,
+        registerContactTransport,
+        resolveContactTransport,
+        sendContactMessage,
+        parseFieldErrors
+    };
+}
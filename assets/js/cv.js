@@ -0,0 +1,204 @@
+/**
+ * CV Page
+ * Builds cv.html from the same data as the site: data/experience.json, data/projects.json and
+ * the skills loaded by SkillsManager (so a skills draft shows up here too). Printing is styled
+ * by assets/css/print.css, which always uses the light palette.
+ *
+ * "Download CV" links to cv.html?print, which opens the print dialog (Save as PDF) once the
+ * page is rendered.
+ */
+
+const CV_PRINT_PARAM = 'print';
+
+let cvExperience = null;
+let cvProjects = null;
+
+// null when the file could not be loaded; the section then shows an error
+async function loadCvData(name) {
+    try {
+        const response = await fetch(`data/${name}.json`);
+        if (!response.ok) throw new Error(`Failed to load ${name}`);
+
+        // Invalid entries are skipped and reported in the console
+        const data = await validateDataFile(name, await response.json());
+        return data[name];
+    } catch (error) {
+        console.error(`Error loading ${name} for the CV:`, error);
+        return null;
+    }
+}
+
+function renderCv() {
+    renderCvSection('cv-experience', cvExperience, entries => {
+        const work = entries.filter(entry => entry.type !== 'education');
+        return work.map(createCvEntry);
+    });
+    renderCvSection('cv-education', cvExperience, entries => {
+        const education = entries.filter(entry => entry.type === 'education');
+        return education.map(createCvEntry);
+    });
+    renderCvSection('cv-projects', cvProjects, projects => getCvProjects(projects).map(createCvProject));
+    renderCvSection('cv-skills', skillsManager.skillsData, createSkillsMatrix);
+}
+
+// Fills a section's body, or shows the load error when its data is missing
+function renderCvSection(id, data, render) {
+    const container = document.getElementById(id);
+    if (!container) return;
+
+    const section = container.closest('.cv__section');
+
+    if (!data) {
+        container.innerHTML = html`<p class="cv__error" role="alert">${translate('cv.loadError')}</p>`;
+        section.hidden = false;
+        return;
+    }
+
+    const content = render(data);
+    container.innerHTML = html`${content}`;
+    section.hidden = !content.length;
+}
+
+function createCvEntry(entry) {
+    const dateRange = formatDateRange(entry.start, entry.end);
+
+    return html`
+        <article class="cv__entry">
+            <header class="cv__entry-header">
+                <h3 class="cv__entry-title">${localize(entry.title)}</h3>
+                <span class="cv__entry-date">${dateRange}</span>
+            </header>
+            <p class="cv__entry-subtitle">${entry.organization}</p>
+            ${entry.summary ? html`<p class="cv__entry-text">${localize(entry.summary)}</p>` : ''}
+            ${entry.highlights && entry.highlights.length ? html`
+                <ul class="cv__entry-list">
+                    ${entry.highlights.map(highlight => html`<li>${localize(highlight)}</li>`)}
+                </ul>
+            ` : ''}
+        </article>
+    `;
+}
+
+// The site's default "Featured" order; ties keep file order
+function getCvProjects(projects) {
+    return projects
+        .map((project, index) => ({ project, index }))
+        .sort((a, b) => compareProjects(a.project, b.project, 'featured') || a.index - b.index)
+        .map(({ project }) => project);
+}
+
+// Links are printed as text as well, since a PDF reader may not follow them
+function createCvLink(url) {
+    const href = sanitizeUrl(url);
+    if (!href) return '';
+    return html`<a class="cv__link" href="${href}">${href.replace(/^https?:\/\//, '').replace(/\/$/, '')}</a>`;
+}
+
+function createCvProject(project) {
+    const links = [createCvLink(project.demo), createCvLink(project.github)].filter(Boolean);
+    const meta = [project.role ? localize(project.role) : '', project.date || ''].filter(Boolean).join(' · ');
+
+    return html`
+        <article class="cv__entry cv__entry--project">
+            <header class="cv__entry-header">
+                <h3 class="cv__entry-title">${localize(project.title)}</h3>
+                ${meta ? html`<span class="cv__entry-date">${meta}</span>` : ''}
+            </header>
+            <p class="cv__entry-text">${localize(project.description)}</p>
+            <p class="cv__entry-tech">${project.tech.join(' · ')}</p>
+            ${links.length ? html`<p class="cv__entry-links">${links}</p>` : ''}
+        </article>
+    `;
+}
+
+// One row per category and one column per proficiency band, highest band first;
+// soft skills are listed on their own under the table
+function createSkillsMatrix(skillsData) {
+    const categories = Object.entries(skillsData.skills)
+        .filter(([category, skills]) => category !== SOFT_SKILLS_CATEGORY && skills.length);
+    const softSkills = skillsData.skills[SOFT_SKILLS_CATEGORY] || [];
+    const byLevel = (a, b) => b.level - a.level;
+
+    const rows = categories.map(([category, skills]) => html`
+        <tr>
+            <th scope="row">${skillsManager.getCategoryLabel(category)}</th>
+            ${PROFICIENCY_BANDS.map(band => {
+                const inBand = skills
+                    .filter(skill => skillsManager.getProficiencyBand(skill.level) === band)
+                    .sort(byLevel);
+                return html`
+                    <td class="cv-skills__cell cv-skills__cell--${band}">
+                        ${inBand.length
+                            ? inBand.map(skill => html`<span class="cv-skills__skill">${skill.name} <span class="cv-skills__level">${skill.level}%</span></span>`)
+                            : html`<span aria-hidden="true">–</span><span class="visually-hidden">${translate('cv.noSkills')}</span>`}
+                    </td>
+                `;
+            })}
+        </tr>
+    `);
+
+    return [
+        categories.length ? html`
+            <table class="cv-skills">
+                <caption class="visually-hidden">${translate('cv.skillsCaption')}</caption>
+                <thead>
+                    <tr>
+                        <th scope="col">${translate('skills.chart.category')}</th>
+                        ${PROFICIENCY_BANDS.map(band => html`
+                            <th scope="col" class="cv-skills__band cv-skills__band--${band}">
+                                ${translate(`skills.level.${band}`)}
+                                <span class="cv-skills__range">${translate('skills.levelRange', {
+                                    min: PROFICIENCY_BAND_MIN[band],
+                                    max: getBandMax(band)
+                                })}</span>
+                            </th>
+                        `)}
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        ` : '',
+        softSkills.length ? html`
+            <p class="cv-skills__soft">
+                <strong>${skillsManager.getCategoryLabel(SOFT_SKILLS_CATEGORY)}:</strong>
+                ${[...softSkills].sort(byLevel).map(skill => skill.name).join(', ')}
+            </p>
+        ` : ''
+    ].filter(Boolean);
+}
+
+// Top of a band: one below the next band up (100 for the highest)
+function getBandMax(band) {
+    const index = PROFICIENCY_BANDS.indexOf(band);
+    return index === 0 ? 100 : PROFICIENCY_BAND_MIN[PROFICIENCY_BANDS[index - 1]] - 1;
+}
+
+// cv.html?print: open the print dialog once, after the fonts are in
+function printIfRequested() {
+    const url = new URL(window.location.href);
+    if (!url.searchParams.has(CV_PRINT_PARAM)) return;
+
+    // A reload should not print again
+    url.searchParams.delete(CV_PRINT_PARAM);
+    history.replaceState(history.state, '', `${url.pathname}${url.search}${url.hash}`);
+
+    const fontsReady = document.fonts ? document.fonts.ready : Promise.resolve();
+    fontsReady.then(() => window.print());
+}
+
+registerModule('cv', {
+    dependsOn: ['i18n', 'skills'],
+    async init({ signal }) {
+        document.querySelectorAll('[data-cv-print]').forEach(button => {
+            button.addEventListener('click', () => window.print(), { signal });
+        });
+
+        [cvExperience, cvProjects] = await Promise.all([loadCvData('experience'), loadCvData('projects')]);
+        renderCv();
+
+        appEvents.on('localeChanged', renderCv, { signal });
+        appEvents.on('skillsLoaded', renderCv, { signal });
+
+        printIfRequested();
+    }
+});
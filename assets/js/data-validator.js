@@ -0,0 +1,258 @@
+/**
+ * Data Validator
+ * Checks the JSON data files against their schemas (data/schemas/*.schema.json).
+ * Supports the subset of JSON Schema the schemas use: type, enum, required, properties,
+ * additionalProperties, items, anyOf, $ref (local), minimum/maximum, minLength/maxLength and pattern,
+ * plus uniqueItemProperties (as in ajv-keywords) to catch duplicate ids in a list.
+ * Runs in the browser (plain script) and in Node (scripts/validate-data.js).
+ */
+
+const DATA_SCHEMA_URLS = {
+    projects: 'data/schemas/projects.schema.json',
+    skills: 'data/schemas/skills.schema.json',
+    experience: 'data/schemas/experience.schema.json'
+};
+
+const dataSchemaCache = {};
+
+// "projects[2].tech" style path for error messages
+function formatDataPath(path) {
+    return path.reduce((result, segment) => (
+        typeof segment === 'number' ? `${result}[${segment}]` : (result ? `${result}.${segment}` : segment)
+    ), '') || '(root)';
+}
+
+function getJsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesSchemaType(value, type) {
+    const actual = getJsonType(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+function resolveSchemaRef(ref, rootSchema) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Unsupported schema reference: ${ref}`);
+    }
+    return ref.slice(2).split('/').reduce((node, key) => node && node[key], rootSchema);
+}
+
+// Returns a list of { path, message } errors; an empty list means the value is valid
+function validateAgainstSchema(value, schema, rootSchema = schema, path = []) {
+    if (!schema || schema === true) return [];
+
+    const errors = [];
+    const addError = message => errors.push({ path, message });
+
+    if (schema.$ref) {
+        errors.push(...validateAgainstSchema(value, resolveSchemaRef(schema.$ref, rootSchema), rootSchema, path));
+    }
+
+    if (schema.anyOf) {
+        const passes = schema.anyOf.some(option => !validateAgainstSchema(value, option, rootSchema, path).length);
+        if (!passes) addError('does not match any of the allowed forms');
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesSchemaType(value, type))) {
+            addError(`expected ${types.join(' or ')}, got ${getJsonType(value)}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        addError(`must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}, got ${JSON.stringify(value)}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) addError(`must be >= ${schema.minimum}, got ${value}`);
+        if (schema.maximum !== undefined && value > schema.maximum) addError(`must be <= ${schema.maximum}, got ${value}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            addError(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            addError(`must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            addError(`has an invalid format: ${JSON.stringify(value)}`);
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => {
+            errors.push(...validateAgainstSchema(item, schema.items, rootSchema, [...path, index]));
+        });
+    }
+
+    // Later duplicates are reported, so the first entry with a value wins
+    if (Array.isArray(value) && schema.uniqueItemProperties) {
+        schema.uniqueItemProperties.forEach(key => {
+            const seen = new Map();
+            value.forEach((item, index) => {
+                if (!item || item[key] === undefined || item[key] === '') return;
+                if (seen.has(item[key])) {
+                    errors.push({
+                        path: [...path, index, key],
+                        message: `duplicates ${formatDataPath([...path, seen.get(item[key]), key])} (${JSON.stringify(item[key])})`
+                    });
+                } else {
+                    seen.set(item[key], index);
+                }
+            });
+        });
+    }
+
+    if (getJsonType(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push({ path: [...path, key], message: 'is required' });
+        });
+
+        Object.keys(value).forEach(key => {
+            const propertySchema = schema.properties && schema.properties[key];
+            if (propertySchema) {
+                errors.push(...validateAgainstSchema(value[key], propertySchema, rootSchema, [...path, key]));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: [...path, key], message: 'is not an allowed field (typo?)' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateAgainstSchema(value[key], schema.additionalProperties, rootSchema, [...path, key]));
+            }
+        });
+    }
+
+    return errors;
+}
+
+// Removes the array entries that contain errors and keeps everything else.
+// Errors outside any array entry make the whole document invalid.
+function sanitizeWithSchema(data, schema) {
+    const errors = validateAgainstSchema(data, schema);
+    const skipped = new Map();
+    const fatal = [];
+
+    errors.forEach(error => {
+        const entryIndex = error.path.findIndex(segment => typeof segment === 'number');
+        if (entryIndex === -1) {
+            fatal.push(error);
+            return;
+        }
+
+        const entryPath = error.path.slice(0, entryIndex + 1);
+        const key = formatDataPath(entryPath);
+        if (!skipped.has(key)) {
+            skipped.set(key, { path: entryPath, errors: [] });
+        }
+        skipped.get(key).errors.push(error);
+    });
+
+    if (fatal.length) {
+        return { data: null, errors, fatal, skipped: [...skipped.values()] };
+    }
+
+    // Copy the data without the skipped entries (highest indexes first)
+    const cleaned = JSON.parse(JSON.stringify(data));
+    [...skipped.values()]
+        .sort((a, b) => b.path[b.path.length - 1] - a.path[a.path.length - 1])
+        .forEach(({ path }) => {
+            const list = path.slice(0, -1).reduce((node, key) => node[key], cleaned);
+            list.splice(path[path.length - 1], 1);
+        });
+
+    return { data: cleaned, errors, fatal, skipped: [...skipped.values()] };
+}
+
+// English text of a plain or per-language ({ en, id }) field; i18n.js is not loaded in Node
+function getEnglishText(value) {
+    if (!value || typeof value !== 'object') return value;
+    return value.en || Object.values(value)[0] || '';
+}
+
+// Human-readable name for a skipped entry, e.g. projects[1] ("SiMun")
+function describeDataEntry(data, path) {
+    const entry = path.reduce((node, key) => (node ? node[key] : undefined), data);
+    const label = entry && (getEnglishText(entry.title) || entry.name || entry.id);
+    return label ? `${formatDataPath(path)} ("${label}")` : formatDataPath(path);
+}
+
+async function loadDataSchema(name) {
+    if (!dataSchemaCache[name]) {
+        dataSchemaCache[name] = fetch(DATA_SCHEMA_URLS[name]).then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        });
+    }
+    return dataSchemaCache[name];
+}
+
+// Browser entry point: returns the data without invalid entries and logs what was skipped.
+// Throws if the document itself is malformed.
+async function validateDataFile(name, data) {
+    let schema;
+    try {
+        schema = await loadDataSchema(name);
+    } catch (error) {
+        console.warn(`Could not load ${name} schema, skipping validation:`, error);
+        delete dataSchemaCache[name];
+        return data;
+    }
+
+    const result = sanitizeWithSchema(data, schema);
+
+    if (result.fatal.length) {
+        result.fatal.forEach(error => {
+            console.error(`Invalid ${name}.json: ${formatDataPath(error.path)} ${error.message}`);
+        });
+        throw new Error(`Invalid ${name}.json`);
+    }
+
+    result.skipped.forEach(({ path, errors }) => {
+        console.warn(
+            `Skipping invalid entry ${describeDataEntry(data, path)} in ${name}.json:\n` +
+            errors.map(error => `  - ${formatDataPath(error.path)} ${error.message}`).join('\n')
+        );
+    });
+
+    return result.data;
+}
+
+// Tech named on projects without a skill of the same name (case-insensitive), in first-seen
+// order: [{ tech, projects: [English title, ...] }]
+function findUnlistedTech(projectsData, skillsData) {
+    const skillNames = new Set(Object.values((skillsData && skillsData.skills) || {})
+        .flat()
+        .map(skill => skill.name.toLowerCase()));
+    const unlisted = new Map();
+
+    ((projectsData && projectsData.projects) || []).forEach(project => {
+        const title = getEnglishText(project.title);
+
+        project.tech.forEach(tech => {
+            const key = tech.toLowerCase();
+            if (skillNames.has(key)) return;
+            if (!unlisted.has(key)) unlisted.set(key, { tech, projects: [] });
+            unlisted.get(key).projects.push(title);
+        });
+    });
+
+    return [...unlisted.values()];
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DATA_SCHEMA_URLS,
+        findUnlistedTech,
+        formatDataPath,
+        validateAgainstSchema,
+        sanitizeWithSchema,
+        describeDataEntry
+    };
+}
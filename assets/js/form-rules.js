@@ -0,0 +1,203 @@
+/**
+ * Form Validation Rules
+ * Validates fields from the rules declared on them, so the same engine works for the
+ * contact form and the admin pages:
+ *
+ *   required, minlength, maxlength, min, max, pattern   standard attributes
+ *   type="email" | "url" | "number"                      type checks
+ *   data-rule="person-name other-rule"                   validators registered with registerValidator()
+ *   data-counter="message-counter"                       live "n / maxlength" counter element
+ *
+ * Errors are { rule, key, params }. The key picks the text from VALIDATION_MESSAGES (or a
+ * translated dictionary), so messages can be translated without touching the rules.
+ * A field can change the key for one rule with data-message-<rule>, e.g. data-message-pattern.
+ */
+
+const VALIDATION_MESSAGES = {
+    'validation.required': 'This field is required',
+    'validation.email': 'Please enter a valid email address',
+    'validation.url': 'Please enter a full URL, starting with https://',
+    'validation.number': 'Please enter a number',
+    'validation.min': 'Must be at least {min}',
+    'validation.max': 'Must be at most {max}',
+    'validation.minLength': 'Must be at least {min} characters',
+    'validation.maxLength': 'Must be at most {max} characters',
+    'validation.pattern': 'Please match the requested format',
+    'validation.personName': 'Please use letters, spaces, apostrophes and hyphens only',
+    'validation.identifier': 'Start with a letter; then letters, digits, "-" or "_"',
+    'validation.unique': 'This name is already used'
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Letters from any script (with accents), single spaces, apostrophes and hyphens between them:
+// "Siti Nur'aini", "José", "O'Brien", "Jean-Luc"
+const PERSON_NAME_PATTERN = /^[\p{L}\p{M}]+(?:[ '’-][\p{L}\p{M}]+)*$/u;
+
+// Custom validators: (value, field) => error or null; value is trimmed and not empty
+const formValidators = {
+    'person-name': value => (PERSON_NAME_PATTERN.test(value.replace(/\s+/g, ' ')) ? null : { key: 'validation.personName' }),
+    identifier: value => (/^[A-Za-z][A-Za-z0-9_-]*$/.test(value) ? null : { key: 'validation.identifier' })
+};
+
+function registerValidator(name, validator) {
+    formValidators[name] = validator;
+}
+
+// Length as the browser counts it for minlength/maxlength
+function getLengthLimit(field, attribute) {
+    const value = field.getAttribute(attribute);
+    return value !== null && value !== '' && !isNaN(value) ? Number(value) : null;
+}
+
+// First broken rule for a field, or null when the value is valid
+function getFieldError(field) {
+    const value = field.value.trim();
+
+    if (!value) {
+        return field.required ? { rule: 'required', key: 'validation.required', params: {} } : null;
+    }
+
+    const checks = [
+        () => field.type === 'email' && !EMAIL_PATTERN.test(value) && { rule: 'email', key: 'validation.email' },
+        () => field.type === 'url' && !isValidUrl(value) && { rule: 'url', key: 'validation.url' },
+        () => field.type === 'number' && isNaN(value) && { rule: 'number', key: 'validation.number' },
+        () => {
+            const min = getLengthLimit(field, 'min');
+            return field.type === 'number' && min !== null && Number(value) < min && { rule: 'min', key: 'validation.min', params: { min } };
+        },
+        () => {
+            const max = getLengthLimit(field, 'max');
+            return field.type === 'number' && max !== null && Number(value) > max && { rule: 'max', key: 'validation.max', params: { max } };
+        },
+        () => {
+            const min = getLengthLimit(field, 'minlength');
+            return min !== null && value.length < min && { rule: 'minlength', key: 'validation.minLength', params: { min } };
+        },
+        () => {
+            const max = getLengthLimit(field, 'maxlength');
+            return max !== null && value.length > max && { rule: 'maxlength', key: 'validation.maxLength', params: { max } };
+        },
+        () => {
+            const pattern = field.getAttribute('pattern');
+            return pattern && !new RegExp(`^(?:${pattern})$`, 'u').test(value) && { rule: 'pattern', key: 'validation.pattern' };
+        },
+        ...(field.dataset.rule || '').split(/\s+/).filter(Boolean).map(name => () => {
+            const validator = formValidators[name];
+            if (!validator) {
+                console.warn(`Unknown validation rule "${name}" on #${field.id}`);
+                return null;
+            }
+            const error = validator(value, field);
+            return error && { rule: name, ...error };
+        })
+    ];
+
+    for (const check of checks) {
+        const error = check();
+        if (error) {
+            const customKey = field.getAttribute(`data-message-${error.rule}`);
+            return { params: {}, ...error, key: customKey || error.key };
+        }
+    }
+    return null;
+}
+
+function isValidUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Text for an error: "Must be at least {min} characters" -> "Must be at least 10 characters"
+function formatValidationMessage(error, messages = VALIDATION_MESSAGES) {
+    const template = messages[error.key] || VALIDATION_MESSAGES[error.key] || error.key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in error.params ? error.params[name] : match));
+}
+
+// The element that shows a field's error: #<id>-error or [data-error-for="<name>"]
+function getFieldErrorElement(field) {
+    if (field.id && document.getElementById(`${field.id}-error`)) {
+        return document.getElementById(`${field.id}-error`);
+    }
+    if (!field.form || !field.name) return null;
+    return [...field.form.querySelectorAll('[data-error-for]')].find(element => element.dataset.errorFor === field.name) || null;
+}
+
+// Validates a field and shows the result; returns true when it is valid
+function validateFormField(field, messages) {
+    const error = getFieldError(field);
+    const errorElement = getFieldErrorElement(field);
+
+    if (errorElement) {
+        errorElement.textContent = error ? formatValidationMessage(error, messages) : '';
+        // Kept so the text can be re-rendered when the language changes
+        if (error) {
+            errorElement.dataset.errorKey = error.key;
+            errorElement.dataset.errorParams = JSON.stringify(error.params);
+        } else {
+            delete errorElement.dataset.errorKey;
+            delete errorElement.dataset.errorParams;
+        }
+    }
+
+    field.classList.toggle('invalid', Boolean(error));
+    field.classList.toggle('valid', !error && Boolean(field.value.trim()));
+    if (error) {
+        field.setAttribute('aria-invalid', 'true');
+    } else {
+        field.removeAttribute('aria-invalid');
+    }
+
+    return !error;
+}
+
+// Validates every field with declared rules; returns true when all are valid
+function validateForm(form, messages) {
+    const fields = [...form.elements].filter(field => field.willValidate !== false && field.name && field.type !== 'hidden');
+    return fields.map(field => validateFormField(field, messages)).every(Boolean);
+}
+
+function clearFormValidation(form) {
+    [...form.elements].forEach(field => {
+        if (!field.classList) return;
+        field.classList.remove('invalid', 'valid');
+        field.removeAttribute('aria-invalid');
+        const errorElement = field.name ? getFieldErrorElement(field) : null;
+        if (errorElement) errorElement.textContent = '';
+    });
+}
+
+// "123 / 1000" under fields with data-counter; turns to a warning near the limit.
+// Listeners added with `signal` are removed when it aborts.
+function initCharacterCounters(form, { signal } = {}) {
+    form.querySelectorAll('[data-counter]').forEach(field => {
+        const counter = document.getElementById(field.dataset.counter);
+        const max = getLengthLimit(field, 'maxlength');
+        if (!counter || max === null) return;
+
+        const update = () => {
+            const length = field.value.length;
+            counter.textContent = `${length} / ${max}`;
+            counter.classList.toggle('form__counter--warning', length >= max * 0.9);
+        };
+
+        field.addEventListener('input', update, { signal });
+        form.addEventListener('reset', () => setTimeout(update, 0), { signal });
+        update();
+    });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        VALIDATION_MESSAGES,
+        PERSON_NAME_PATTERN,
+        formValidators,
+        registerValidator,
+        getFieldError,
+        formatValidationMessage
+    };
+}
@@ -0,0 +1,424 @@
+/**
+ * Form Validation and Submission
+ * Handles contact form validation and submission with real-time feedback.
+ * Sending is done by the transport configured on #contact-form (see contact-transports.js).
+ * Visitor-facing text comes from the locale dictionaries (see i18n.js).
+ */
+
+// Draft autosave
+const CONTACT_DRAFT_KEY = 'portfolio-contact-draft';
+const CONTACT_DRAFT_FIELDS = ['name', 'email', 'subject', 'message'];
+const CONTACT_DRAFT_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+const CONTACT_DRAFT_DELAY = 500;
+
+registerModule('contact-form', {
+    dependsOn: ['i18n'],
+    init({ signal }) {
+        initContactForm({ signal });
+    }
+});
+
+function initContactForm({ signal } = {}) {
+    const contactForm = document.getElementById('contact-form');
+    if (!contactForm) return;
+    
+    // Form elements
+    const nameInput = document.getElementById('name');
+    const emailInput = document.getElementById('email');
+    const subjectInput = document.getElementById('subject');
+    const messageInput = document.getElementById('message');
+    const honeypotInput = contactForm.elements[CONTACT_HONEYPOT_FIELD];
+    const submitButton = contactForm.querySelector('.form__submit');
+    const successMessage = document.getElementById('form-success');
+    let successTimer = null;
+    let formStartedAt = Date.now();
+    let draftTimer = null;
+    
+    // Real-time validation; the rules are declared on the fields (see form-rules.js)
+    [nameInput, emailInput, subjectInput, messageInput].forEach(input => {
+        input.addEventListener('input', () => {
+            validateFormField(input, getLocaleMessages());
+        }, { signal });
+        
+        input.addEventListener('blur', () => {
+            validateFormField(input, getLocaleMessages());
+        }, { signal });
+    });
+    
+    // Re-render shown field errors in the new language
+    appEvents.on('localeChanged', () => {
+        const messages = getLocaleMessages();
+        contactForm.querySelectorAll('[data-error-key]').forEach(errorElement => {
+            const params = JSON.parse(errorElement.dataset.errorParams || '{}');
+            errorElement.textContent = formatValidationMessage({ key: errorElement.dataset.errorKey, params }, messages);
+        });
+    }, { signal });
+    
+    // Autosave what the visitor types; restore it after a reload or on the next visit
+    restoreDraft();
+    initCharacterCounters(contactForm, { signal });
+    
+    contactForm.addEventListener('input', (e) => {
+        if (!CONTACT_DRAFT_FIELDS.includes(e.target.name)) return;
+        clearTimeout(draftTimer);
+        draftTimer = setTimeout(saveDraft, CONTACT_DRAFT_DELAY);
+    }, { signal });
+    
+    // Save right away when leaving, so the last keystrokes are not lost
+    window.addEventListener('pagehide', () => {
+        if (draftTimer) saveDraft();
+    }, { signal });
+    
+    // Also runs for contactForm.reset() after a successful submit
+    contactForm.addEventListener('reset', () => {
+        clearDraft();
+        formStartedAt = Date.now();
+        clearFormValidation(contactForm);
+    }, { signal });
+    
+    // Form submission
+    contactForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        
+        // Validate all fields
+        if (!validateForm(contactForm, getLocaleMessages())) {
+            showFormError(translate('contact.fixErrors'));
+            return;
+        }
+        
+        // Prepare form data
+        const formData = {
+            name: nameInput.value.trim(),
+            email: emailInput.value.trim(),
+            subject: subjectInput.value.trim(),
+            message: messageInput.value.trim(),
+            timestamp: new Date().toISOString()
+        };
+        
+        // Spam checks; what they measured is sent along so the server can check it again
+        const spamSettings = getContactSpamSettings(contactForm);
+        const honeypotValue = honeypotInput ? honeypotInput.value : '';
+        const spamMeta = buildContactSpamMeta(formData, {
+            honeypot: honeypotValue,
+            startedAt: formStartedAt,
+            settings: spamSettings
+        });
+        formData[CONTACT_HONEYPOT_FIELD] = honeypotValue;
+        formData.antiSpam = spamMeta;
+        
+        const spamReason = getContactSpamReason(spamMeta, spamSettings);
+        if (spamReason) {
+            console.warn('Contact form submission refused:', spamReason);
+            // The same text for every check, so bots learn nothing about which one failed
+            showFormError(translate('contact.spamRejected'));
+            return;
+        }
+        
+        // Show loading state
+        submitButton.textContent = translate('contact.sending');
+        submitButton.disabled = true;
+        
+        const transportConfig = getContactTransportConfig(contactForm);
+        
+        try {
+            spamMeta.challenge = await runContactChallenge(formData, spamSettings, spamMeta);
+            
+            const result = await sendContactMessage(formData, transportConfig);
+            
+            // Only the email app was opened: keep the message (and its draft) until it is sent
+            if (result && result.handedOff) {
+                saveDraft();
+                showHandedOffNotice(describeSubmissionResult(result));
+                return;
+            }
+            
+            recordContactSubmission(spamMeta, spamSettings);
+            showFormSuccess(describeSubmissionResult(result));
+            contactForm.reset();
+            
+        } catch (error) {
+            // Offline: keep the message and send it when the connection is back
+            if (error.code === 'network' && await queueForLater(formData, transportConfig)) {
+                recordContactSubmission(spamMeta, spamSettings);
+                showFormSuccess(translate('contact.queued'), true);
+                contactForm.reset();
+                return;
+            }
+            
+            const hasFieldErrors = showServerFieldErrors(error.fieldErrors);
+            showFormError(describeSubmissionError(error, hasFieldErrors));
+            console.error('Form submission error:', error);
+            
+        } finally {
+            // Reset button state
+            submitButton.textContent = translate('contact.send');
+            submitButton.disabled = false;
+        }
+    }, { signal });
+    
+    // Messages from the outbox were sent (or refused) after the visitor submitted them
+    appEvents.on('contactOutboxFlushed', ({ sent, dropped }) => {
+        
+        if (dropped.length) {
+            // Put the refused message back so the visitor does not have to type it again
+            if (!messageInput.value.trim()) {
+                const [payload] = dropped;
+                nameInput.value = payload.name || '';
+                emailInput.value = payload.email || '';
+                subjectInput.value = payload.subject || '';
+                messageInput.value = payload.message || '';
+                messageInput.dispatchEvent(new Event('input', { bubbles: true }));
+            }
+            showFormError(translate('contact.queuedDropped'));
+        } else if (sent) {
+            showFormSuccess(sent === 1 ? translate('contact.queuedSent') : translate('contact.queuedSentMany', { count: sent }));
+        }
+    }, { signal });
+    
+    // Success (or "queued") message below the form
+    function showFormSuccess(message, isQueued = false) {
+        successMessage.textContent = message;
+        successMessage.classList.toggle('form__success--queued', isQueued);
+        successMessage.style.display = 'block';
+        
+        // Scroll to success message
+        successMessage.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        
+        // Hide success message after a few seconds
+        clearTimeout(successTimer);
+        successTimer = setTimeout(() => {
+            successMessage.style.display = 'none';
+        }, isQueued ? 10000 : 5000);
+    }
+    
+    function saveDraft() {
+        clearTimeout(draftTimer);
+        draftTimer = null;
+        
+        const fields = {};
+        CONTACT_DRAFT_FIELDS.forEach(name => {
+            fields[name] = contactForm.elements[name].value;
+        });
+        
+        try {
+            if (Object.values(fields).some(value => value.trim())) {
+                localStorage.setItem(CONTACT_DRAFT_KEY, JSON.stringify({
+                    fields,
+                    startedAt: formStartedAt,
+                    savedAt: Date.now()
+                }));
+            } else {
+                localStorage.removeItem(CONTACT_DRAFT_KEY);
+            }
+        } catch (error) {
+            // Storage unavailable (private mode, quota): no autosave
+        }
+    }
+    
+    function readDraft() {
+        try {
+            const draft = JSON.parse(localStorage.getItem(CONTACT_DRAFT_KEY));
+            if (draft && draft.fields && Date.now() - draft.savedAt < CONTACT_DRAFT_MAX_AGE) {
+                return draft;
+            }
+        } catch (error) {
+            // Unreadable draft: treat as none
+        }
+        return null;
+    }
+    
+    // Fill empty fields from the saved draft (the browser may have restored some itself)
+    function restoreDraft() {
+        const draft = readDraft();
+        if (!draft) {
+            clearDraft();
+            return;
+        }
+        
+        let restored = false;
+        CONTACT_DRAFT_FIELDS.forEach(name => {
+            const input = contactForm.elements[name];
+            const value = draft.fields[name];
+            if (input && typeof value === 'string' && value && !input.value) {
+                input.value = value;
+                restored = true;
+            }
+        });
+        
+        if (restored) {
+            // Time spent on the draft counts towards the spam guard's minimum time
+            formStartedAt = Math.min(formStartedAt, Number(draft.startedAt) || formStartedAt);
+            showDraftNotice();
+        }
+    }
+    
+    function clearDraft() {
+        clearTimeout(draftTimer);
+        draftTimer = null;
+        
+        try {
+            localStorage.removeItem(CONTACT_DRAFT_KEY);
+        } catch (error) {
+            // Nothing stored
+        }
+        
+        const notice = contactForm.querySelector('.form__draft-notice');
+        if (notice) notice.remove();
+    }
+    
+    // "Draft restored — Discard" above the first field
+    function showDraftNotice() {
+        const notice = document.createElement('div');
+        notice.className = 'form__draft-notice';
+        notice.setAttribute('role', 'status');
+        notice.textContent = translate('contact.draftRestored');
+        
+        const discardButton = document.createElement('button');
+        discardButton.type = 'button';
+        discardButton.className = 'form__draft-discard';
+        discardButton.textContent = translate('contact.draftDiscard');
+        discardButton.addEventListener('click', () => {
+            contactForm.reset();
+            nameInput.focus();
+        });
+        
+        notice.appendChild(discardButton);
+        contactForm.prepend(notice);
+    }
+    
+    // "Send it from your email app — Clear form": stays until the visitor clears the form
+    function showHandedOffNotice(message) {
+        const previous = contactForm.querySelector('.form__draft-notice');
+        if (previous) previous.remove();
+        
+        const notice = document.createElement('div');
+        notice.className = 'form__draft-notice';
+        notice.setAttribute('role', 'status');
+        notice.textContent = `${message} `;
+        
+        const clearButton = document.createElement('button');
+        clearButton.type = 'button';
+        clearButton.className = 'form__draft-discard';
+        clearButton.textContent = translate('contact.mailtoClear');
+        clearButton.addEventListener('click', () => {
+            contactForm.reset();
+            nameInput.focus();
+        });
+        
+        notice.appendChild(clearButton);
+        contactForm.prepend(notice);
+        notice.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+    
+    // Store the message in the outbox; false if this browser cannot keep it
+    async function queueForLater(formData, transportConfig) {
+        if (typeof queueContactMessage !== 'function' || typeof indexedDB === 'undefined') return false;
+        
+        try {
+            const { name } = resolveContactTransport(transportConfig);
+            await queueContactMessage(formData, name, transportConfig);
+            await requestContactOutboxSync();
+            return true;
+        } catch (error) {
+            console.error('Could not queue the message:', error);
+            return false;
+        }
+    }
+    
+    // Show form-level error
+    function showFormError(message) {
+        // Create or update error container
+        let errorContainer = contactForm.querySelector('.form__error--global');
+        if (!errorContainer) {
+            errorContainer = document.createElement('div');
+            errorContainer.className = 'form__error form__error--global';
+            contactForm.insertBefore(errorContainer, submitButton);
+        }
+        
+        errorContainer.textContent = message;
+        errorContainer.style.display = 'block';
+        
+        // Auto-hide after 5 seconds
+        setTimeout(() => {
+            errorContainer.style.display = 'none';
+        }, 5000);
+        
+        // Scroll to error
+        errorContainer.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+    
+    // Put errors returned by the server under their fields; returns true if any were shown
+    function showServerFieldErrors(fieldErrors = {}) {
+        let shown = false;
+        
+        Object.entries(fieldErrors).forEach(([field, message]) => {
+            const input = contactForm.elements[field];
+            const errorElement = document.getElementById(`${field}-error`);
+            if (!input || !errorElement) return;
+            
+            errorElement.textContent = message;
+            input.classList.add('invalid');
+            input.classList.remove('valid');
+            input.setAttribute('aria-invalid', 'true');
+            shown = true;
+        });
+        
+        return shown;
+    }
+    
+    // Transports return a dictionary key for their own text, or the server's message
+    function describeSubmissionResult(result) {
+        if (result && result.messageKey) return translate(result.messageKey);
+        return (result && result.message) || translate('contact.success');
+    }
+    
+    // Visitor-facing text for a failed submission
+    function describeSubmissionError(error, hasFieldErrors) {
+        if (hasFieldErrors) {
+            return translate('contact.checkFields');
+        }
+        
+        switch (error.code) {
+            case 'timeout':
+                return translate('contact.error.timeout');
+            case 'network':
+                return translate('contact.error.network');
+            case 'challenge':
+                // Same text as the other anti-spam refusals
+                return translate('contact.spamRejected');
+            case 'config':
+                return contactForm.dataset.mailto
+                    ? translate('contact.error.config', { email: contactForm.dataset.mailto })
+                    : translate('contact.error.generic');
+            case 'validation':
+            case 'http':
+                if (error.status === 429) {
+                    return translate('contact.error.rateLimit');
+                }
+                if (error.status >= 500) {
+                    return translate('contact.error.server', { status: error.status });
+                }
+                return translate('contact.error.rejected', { status: error.status });
+            default:
+                return translate('contact.error.generic');
+        }
+    }
+    
+    // Add keyboard navigation support
+    contactForm.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && e.target.type !== 'textarea') {
+            e.preventDefault();
+            
+            // Find next focusable element
+            const focusableElements = contactForm.querySelectorAll(
+                'input:not([tabindex="-1"]), textarea, button'
+            );
+            const currentIndex = Array.from(focusableElements).indexOf(e.target);
+            const nextIndex = (currentIndex + 1) % focusableElements.length;
+            
+            if (focusableElements[nextIndex]) {
+                focusableElements[nextIndex].focus();
+            }
+        }
+    }, { signal });
+}
\ No newline at end of file
@@ -0,0 +1,20 @@
+/**
+ * String Hashing
+ * Small, stable, non-cryptographic hash shared by the placeholder images (colour and pattern
+ * per project) and the contact spam guard (message fingerprints).
+ */
+
+// FNV-1a: the same 32-bit unsigned number for the same string in every browser
+function hashString(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { hashString };
+}
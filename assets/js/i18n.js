@@ -0,0 +1,160 @@
+/**
+ * Internationalization
+ * English / Bahasa Indonesia. Dictionaries live in assets/js/locales/ and register themselves
+ * with registerLocaleMessages(). Static markup is translated through attributes:
+ *
+ *   data-i18n="nav.projects"                      text content
+ *   data-i18n-attr="placeholder:projects.search"  attributes (several separated by ";")
+ *
+ * Scripts use translate(key, params) for their own text and localize(value) for data fields
+ * that may be a plain string or per-locale text such as { "en": "…", "id": "…" }.
+ * Changing the language dispatches a `localeChanged` event so rendered content can refresh.
+ */
+
+const LOCALE_STORAGE_KEY = 'portfolio-locale';
+const DEFAULT_LOCALE = 'en';
+const SUPPORTED_LOCALES = {
+    en: 'English',
+    id: 'Bahasa Indonesia'
+};
+
+const localeMessages = {};
+let currentLocale = DEFAULT_LOCALE;
+
+function registerLocaleMessages(locale, messages) {
+    localeMessages[locale] = { ...(localeMessages[locale] || {}), ...messages };
+}
+
+// Saved choice first, then the browser's preferred languages ("id-ID" -> "id")
+function detectLocale() {
+    try {
+        const saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+        if (saved in SUPPORTED_LOCALES) return saved;
+    } catch (error) {
+        // Storage unavailable: fall through to the browser languages
+    }
+
+    const languages = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+    const match = languages
+        .filter(Boolean)
+        .map(language => language.toLowerCase().split('-')[0])
+        .find(language => language in SUPPORTED_LOCALES);
+
+    return match || DEFAULT_LOCALE;
+}
+
+function getLocale() {
+    return currentLocale;
+}
+
+// Dictionary for a locale with English filling the gaps
+function getLocaleMessages(locale = currentLocale) {
+    return { ...(localeMessages[DEFAULT_LOCALE] || {}), ...(localeMessages[locale] || {}) };
+}
+
+// translate('projects.showing', { shown: 6, total: 9 }) -> "Showing 6 of 9 projects"
+function translate(key, params = {}) {
+    const messages = localeMessages[currentLocale] || {};
+    const fallback = localeMessages[DEFAULT_LOCALE] || {};
+    const template = key in messages ? messages[key] : (key in fallback ? fallback[key] : key);
+
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+// Plain strings pass through; { en, id } objects give the current (or requested) locale
+function localize(value, locale = currentLocale) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+    return value[locale] || value[DEFAULT_LOCALE] || Object.values(value)[0] || '';
+}
+
+// "2022 - Present" for open-ended ranges (no end date); just the end when there is no start
+function formatDateRange(start, end) {
+    if (!start) return end || '';
+    return `${start} - ${end || translate('common.present')}`;
+}
+
+// For editors: the text stored for one locale, without falling back to another
+function getLocalizedText(value, locale) {
+    if (value && typeof value === 'object') return value[locale] || '';
+    return locale === DEFAULT_LOCALE ? (value || '') : '';
+}
+
+// For editors: the value with one locale's text replaced. Stays a plain string while
+// only English is filled in.
+function withLocalizedText(value, locale, text) {
+    const texts = value && typeof value === 'object' ? { ...value } : { [DEFAULT_LOCALE]: value || '' };
+    texts[locale] = text;
+
+    Object.keys(texts).forEach(key => {
+        if (key !== DEFAULT_LOCALE && !texts[key]) delete texts[key];
+    });
+
+    return Object.keys(texts).length > 1 ? texts : texts[DEFAULT_LOCALE];
+}
+
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = translate(element.dataset.i18n);
+    });
+
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+        element.dataset.i18nAttr.split(';').forEach(pair => {
+            const [attribute, key] = pair.split(':').map(part => part.trim());
+            if (attribute && key) element.setAttribute(attribute, translate(key));
+        });
+    });
+}
+
+function setLocale(locale, { save = true } = {}) {
+    if (!(locale in SUPPORTED_LOCALES)) locale = DEFAULT_LOCALE;
+
+    const changed = locale !== currentLocale;
+    currentLocale = locale;
+    document.documentElement.lang = locale;
+
+    if (save) {
+        try {
+            localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+        } catch (error) {
+            // The choice just is not remembered
+        }
+    }
+
+    applyTranslations();
+    updateLanguageSwitcher();
+
+    if (changed) {
+        appEvents.emit('localeChanged', { locale });
+    }
+}
+
+// Buttons with data-locale="en|id" in the nav
+function initLanguageSwitcher({ signal } = {}) {
+    document.querySelectorAll('[data-locale]').forEach(button => {
+        button.addEventListener('click', () => {
+            setLocale(button.dataset.locale);
+        }, { signal });
+    });
+    updateLanguageSwitcher();
+}
+
+function updateLanguageSwitcher() {
+    document.querySelectorAll('[data-locale]').forEach(button => {
+        button.setAttribute('aria-pressed', String(button.dataset.locale === currentLocale));
+    });
+}
+
+// Modules that render text depend on this one, so they start in the detected locale.
+// Pages without a language switcher (the admin tools) stay in English.
+registerModule('i18n', {
+    init({ signal }) {
+        if (!document.querySelector('[data-locale]')) return;
+        setLocale(detectLocale(), { save: false });
+        initLanguageSwitcher({ signal });
+    }
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { localize, getLocalizedText, withLocalizedText, SUPPORTED_LOCALES, DEFAULT_LOCALE };
+}
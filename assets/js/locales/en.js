@@ -0,0 +1,172 @@
+/**
+ * English UI text
+ * Also the fallback for keys missing from other locales. Validation messages default to
+ * VALIDATION_MESSAGES in form-rules.js.
+ */
+
+registerLocaleMessages('en', {
+    'meta.title': 'Koandres - Software Engineer/AI Developer',
+    'common.retry': 'Retry',
+    'common.dismiss': 'Dismiss',
+    'common.present': 'Present',
+    'image.placeholderAlt': 'Placeholder image',
+
+    'nav.skip': 'Skip to main content',
+    'nav.home': 'Home',
+    'nav.projects': 'Projects',
+    'nav.skills': 'Skills',
+    'nav.experience': 'Experience',
+    'nav.contact': 'Contact',
+    'nav.toggleMenu': 'Toggle menu',
+    'nav.theme': 'Theme',
+    'nav.language': 'Language',
+
+    'theme.system': 'System',
+    'theme.light': 'Light',
+    'theme.dark': 'Dark',
+    'theme.highContrast': 'High contrast',
+
+    'hero.greeting': "Hello, I'm",
+    'hero.subtitle': 'Software Engineer/AI Developer',
+    'hero.description': "I build exceptional digital experiences that are fast, accessible, visually appealing, and responsive. Let's bring your ideas to life!",
+    'hero.viewProjects': 'View Projects',
+    'hero.contact': 'Contact Me',
+    'hero.downloadCv': 'Download CV',
+    'hero.imageLabel': 'Koandres, Software Engineer',
+
+    'projects.title': 'Featured Projects',
+    'projects.subtitle': 'A selection of my recent work',
+    'projects.searchLabel': 'Search projects',
+    'projects.searchPlaceholder': 'Search projects...',
+    'projects.sortLabel': 'Sort projects',
+    'projects.sort.featured': 'Featured first',
+    'projects.sort.newest': 'Newest',
+    'projects.sort.alphabetical': 'A-Z',
+    'projects.filter.all': 'All',
+    'projects.filter.frontend': 'Frontend',
+    'projects.filter.backend': 'Backend',
+    'projects.filter.fullstack': 'Full Stack',
+    'projects.techFilterLabel': 'Filter by technology',
+    'projects.showMore': 'Show more ({count})',
+    'projects.status': 'Showing {shown} of {total} projects',
+    'projects.empty': 'No projects match your filters.',
+    'projects.clearFilters': 'Clear filters',
+    'projects.loadError': 'Failed to load projects. Please try again later.',
+
+    'project.featured': 'Featured',
+    'project.liveDemo': 'Live Demo',
+    'project.liveDemoLabel': 'View live demo of {title}',
+    'project.demoUnavailable': 'Demo N/A',
+    'project.demoUnavailableLabel': 'Live demo not available for {title}',
+    'project.github': 'GitHub',
+    'project.githubLabel': 'View source code of {title} on GitHub',
+    'project.codePrivate': 'Code Private',
+    'project.codePrivateLabel': 'Source code not available for {title}',
+    'project.screenshotAlt': '{title} project screenshot',
+    'project.screenshotNumberAlt': '{title} screenshot {number}',
+    'project.placeholderAlt': 'Project placeholder image',
+    'project.role': 'Role',
+    'project.teamSize': 'Team size',
+    'project.solo': 'Solo project',
+    'project.people': '{count} people',
+    'project.dates': 'Dates',
+    'project.type': 'Type',
+    'project.techLevel': '{label} · {level}%',
+    'project.close': 'Close project details',
+
+    'skills.title': 'Technical Skills',
+    'skills.subtitle': 'Technologies I work with, rated by proficiency',
+    'skills.tabsLabel': 'Skills categories',
+    'skills.tab.frontend': 'Frontend',
+    'skills.tab.backend': 'Backend',
+    'skills.tab.tools': 'Tools & DevOps',
+    'skills.tab.softSkills': 'Soft Skills',
+    'skills.totalSkills': 'Total Skills',
+    'skills.avgProficiency': 'Average Proficiency',
+    'skills.yearsExperience': 'Years Experience',
+    'skills.avgByCategory': 'Average by category',
+    'skills.byLevel': 'Skills by level',
+    'skills.topSkills': 'Top skills',
+    'skills.levelRange': '{min}–{max}%',
+    'skills.year': '{count} year',
+    'skills.years': '{count} years',
+    'skills.level.expert': 'Expert',
+    'skills.level.advanced': 'Advanced',
+    'skills.level.intermediate': 'Intermediate',
+    'skills.level.beginner': 'Beginner',
+    'skills.view.label': 'Skills view',
+    'skills.view.list': 'List',
+    'skills.view.radar': 'Radar',
+    'skills.view.bars': 'Ranking',
+    'skills.chart.radarCaption': '{category} skills by proficiency',
+    'skills.chart.barsCaption': 'All skills, highest proficiency first',
+    'skills.chart.skill': 'Skill',
+    'skills.chart.category': 'Category',
+    'skills.chart.level': 'Proficiency',
+    'skills.usedInProject': 'Used in 1 project',
+    'skills.usedInProjects': 'Used in {count} projects',
+    'skills.loadError': 'Skills could not be loaded. Please try again later.',
+    'skills.draftNotice': 'You are viewing local draft data, not the published skills.',
+    'skills.draftNoticeSaved': 'You are viewing local draft data saved {date}, not the published skills.',
+    'skills.draftReset': 'Reset to published',
+
+    'experience.title': 'Experience & Education',
+    'experience.subtitle': 'My professional journey',
+    'experience.loadError': 'Failed to load experience. Please try again later.',
+
+    'cv.pageTitle': 'Koandres - CV',
+    'cv.back': '← Back to portfolio',
+    'cv.print': 'Print / Save as PDF',
+    'cv.loading': 'Loading...',
+    'cv.loadError': 'This section could not be loaded. Please reload the page.',
+    'cv.profile': 'Profile',
+    'cv.experience': 'Experience',
+    'cv.education': 'Education',
+    'cv.skills': 'Skills',
+    'cv.skillsCaption': 'Skills by category and proficiency level',
+    'cv.noSkills': 'None',
+    'cv.projects': 'Selected Projects',
+
+    'contact.title': 'Get In Touch',
+    'contact.subtitle': "Let's work together!",
+    'contact.infoTitle': 'Contact Information',
+    'contact.infoText': "I'm currently open to new opportunities and interesting projects. Feel free to reach out if you'd like to collaborate!",
+    'contact.email': 'Email',
+    'contact.location': 'Location',
+    'contact.locationValue': 'Central Java, Indonesia',
+    'contact.availability': 'Availability',
+    'contact.availabilityValue': 'Open to opportunities',
+    'contact.nameLabel': 'Full Name *',
+    'contact.emailLabel': 'Email Address *',
+    'contact.subjectLabel': 'Subject',
+    'contact.messageLabel': 'Message *',
+    'contact.honeypotLabel': 'Leave this field empty',
+    'contact.send': 'Send Message',
+    'contact.sending': 'Sending...',
+    'contact.success': "Message sent successfully! I'll get back to you soon.",
+    'contact.mailtoOpened': 'Your email app should open with the message ready. It is not sent until you send it from there.',
+    'contact.mailtoClear': 'Clear form',
+    'contact.fixErrors': 'Please fix all errors before submitting.',
+    'contact.checkFields': 'Please check the highlighted fields and try again.',
+    'contact.spamRejected': 'Your message could not be sent right now. Please try again later or email me directly.',
+    'contact.queued': 'You appear to be offline. Your message is queued and will be sent automatically when you are back online.',
+    'contact.queuedSent': 'Your queued message has been sent.',
+    'contact.queuedSentMany': 'Your {count} queued messages have been sent.',
+    'contact.queuedDropped': 'A queued message could not be delivered. It is back in the form: please check it and send it again.',
+    'contact.draftRestored': 'Draft restored — ',
+    'contact.draftDiscard': 'Discard',
+    'contact.error.timeout': 'The server took too long to respond. Please try again.',
+    'contact.error.network': 'Could not reach the server. Check your connection and try again.',
+    'contact.error.config': 'The contact form is not set up yet. Please email {email} directly.',
+    'contact.error.rateLimit': 'Too many messages were sent. Please wait a few minutes and try again.',
+    'contact.error.server': 'The server had a problem (HTTP {status}). Please try again later.',
+    'contact.error.rejected': 'The message was not accepted (HTTP {status}). Please try again later.',
+    'contact.error.generic': 'Failed to send message. Please try again later.',
+
+    'footer.rights': 'All rights reserved.',
+    'footer.credits': 'Built with ❤️ using pure HTML, CSS, and JavaScript',
+    'footer.backToTop': 'Back to top',
+
+    'update.available': 'A new version of this site is available.',
+    'update.reload': 'Reload'
+});
@@ -0,0 +1,184 @@
+/**
+ * Bahasa Indonesia UI text
+ * Keys missing here fall back to English (locales/en.js).
+ */
+
+registerLocaleMessages('id', {
+    'meta.title': 'Koandres - Software Engineer/AI Developer',
+    'common.retry': 'Coba lagi',
+    'common.dismiss': 'Tutup',
+    'common.present': 'Sekarang',
+    'image.placeholderAlt': 'Gambar pengganti',
+
+    'nav.skip': 'Langsung ke konten utama',
+    'nav.home': 'Beranda',
+    'nav.projects': 'Proyek',
+    'nav.skills': 'Keahlian',
+    'nav.experience': 'Pengalaman',
+    'nav.contact': 'Kontak',
+    'nav.toggleMenu': 'Buka/tutup menu',
+    'nav.theme': 'Tema',
+    'nav.language': 'Bahasa',
+
+    'theme.system': 'Ikuti sistem',
+    'theme.light': 'Terang',
+    'theme.dark': 'Gelap',
+    'theme.highContrast': 'Kontras tinggi',
+
+    'hero.greeting': 'Halo, saya',
+    'hero.subtitle': 'Software Engineer/AI Developer',
+    'hero.description': 'Saya membangun pengalaman digital yang cepat, mudah diakses, menarik, dan responsif. Mari wujudkan ide Anda!',
+    'hero.viewProjects': 'Lihat Proyek',
+    'hero.contact': 'Hubungi Saya',
+    'hero.downloadCv': 'Unduh CV',
+    'hero.imageLabel': 'Koandres, Software Engineer',
+
+    'projects.title': 'Proyek Unggulan',
+    'projects.subtitle': 'Beberapa karya terbaru saya',
+    'projects.searchLabel': 'Cari proyek',
+    'projects.searchPlaceholder': 'Cari proyek...',
+    'projects.sortLabel': 'Urutkan proyek',
+    'projects.sort.featured': 'Unggulan dulu',
+    'projects.sort.newest': 'Terbaru',
+    'projects.sort.alphabetical': 'A-Z',
+    'projects.filter.all': 'Semua',
+    'projects.filter.frontend': 'Frontend',
+    'projects.filter.backend': 'Backend',
+    'projects.filter.fullstack': 'Full Stack',
+    'projects.techFilterLabel': 'Saring berdasarkan teknologi',
+    'projects.showMore': 'Tampilkan lagi ({count})',
+    'projects.status': 'Menampilkan {shown} dari {total} proyek',
+    'projects.empty': 'Tidak ada proyek yang sesuai dengan filter.',
+    'projects.clearFilters': 'Hapus filter',
+    'projects.loadError': 'Gagal memuat proyek. Silakan coba lagi nanti.',
+
+    'project.featured': 'Unggulan',
+    'project.liveDemo': 'Demo Langsung',
+    'project.liveDemoLabel': 'Lihat demo langsung {title}',
+    'project.demoUnavailable': 'Demo Tidak Ada',
+    'project.demoUnavailableLabel': 'Demo langsung {title} tidak tersedia',
+    'project.github': 'GitHub',
+    'project.githubLabel': 'Lihat kode sumber {title} di GitHub',
+    'project.codePrivate': 'Kode Privat',
+    'project.codePrivateLabel': 'Kode sumber {title} tidak tersedia',
+    'project.screenshotAlt': 'Tangkapan layar proyek {title}',
+    'project.screenshotNumberAlt': 'Tangkapan layar {title} {number}',
+    'project.placeholderAlt': 'Gambar pengganti proyek',
+    'project.role': 'Peran',
+    'project.teamSize': 'Ukuran tim',
+    'project.solo': 'Proyek pribadi',
+    'project.people': '{count} orang',
+    'project.dates': 'Waktu',
+    'project.type': 'Jenis',
+    'project.techLevel': '{label} · {level}%',
+    'project.close': 'Tutup detail proyek',
+
+    'skills.title': 'Keahlian Teknis',
+    'skills.subtitle': 'Teknologi yang saya gunakan, beserta tingkat penguasaannya',
+    'skills.tabsLabel': 'Kategori keahlian',
+    'skills.tab.frontend': 'Frontend',
+    'skills.tab.backend': 'Backend',
+    'skills.tab.tools': 'Tools & DevOps',
+    'skills.tab.softSkills': 'Soft Skill',
+    'skills.totalSkills': 'Total Keahlian',
+    'skills.avgProficiency': 'Rata-rata Penguasaan',
+    'skills.yearsExperience': 'Tahun Pengalaman',
+    'skills.avgByCategory': 'Rata-rata per kategori',
+    'skills.byLevel': 'Keahlian per tingkat',
+    'skills.topSkills': 'Keahlian teratas',
+    'skills.levelRange': '{min}–{max}%',
+    'skills.year': '{count} tahun',
+    'skills.years': '{count} tahun',
+    'skills.level.expert': 'Ahli',
+    'skills.level.advanced': 'Mahir',
+    'skills.level.intermediate': 'Menengah',
+    'skills.level.beginner': 'Pemula',
+    'skills.view.label': 'Tampilan keahlian',
+    'skills.view.list': 'Daftar',
+    'skills.view.radar': 'Radar',
+    'skills.view.bars': 'Peringkat',
+    'skills.chart.radarCaption': 'Keahlian {category} menurut penguasaan',
+    'skills.chart.barsCaption': 'Semua keahlian, dari penguasaan tertinggi',
+    'skills.chart.skill': 'Keahlian',
+    'skills.chart.category': 'Kategori',
+    'skills.chart.level': 'Penguasaan',
+    'skills.usedInProject': 'Dipakai di 1 proyek',
+    'skills.usedInProjects': 'Dipakai di {count} proyek',
+    'skills.loadError': 'Data keahlian gagal dimuat. Silakan coba lagi nanti.',
+    'skills.draftNotice': 'Anda sedang melihat data draf lokal, bukan keahlian yang diterbitkan.',
+    'skills.draftNoticeSaved': 'Anda sedang melihat data draf lokal yang disimpan {date}, bukan keahlian yang diterbitkan.',
+    'skills.draftReset': 'Kembali ke versi terbit',
+
+    'experience.title': 'Pengalaman & Pendidikan',
+    'experience.subtitle': 'Perjalanan profesional saya',
+    'experience.loadError': 'Gagal memuat pengalaman. Silakan coba lagi nanti.',
+
+    'cv.pageTitle': 'Koandres - CV',
+    'cv.back': '← Kembali ke portofolio',
+    'cv.print': 'Cetak / Simpan sebagai PDF',
+    'cv.loading': 'Memuat...',
+    'cv.loadError': 'Bagian ini gagal dimuat. Silakan muat ulang halaman.',
+    'cv.profile': 'Profil',
+    'cv.experience': 'Pengalaman',
+    'cv.education': 'Pendidikan',
+    'cv.skills': 'Keahlian',
+    'cv.skillsCaption': 'Keahlian per kategori dan tingkat kemahiran',
+    'cv.noSkills': 'Tidak ada',
+    'cv.projects': 'Proyek Pilihan',
+
+    'contact.title': 'Hubungi Saya',
+    'contact.subtitle': 'Mari bekerja sama!',
+    'contact.infoTitle': 'Informasi Kontak',
+    'contact.infoText': 'Saat ini saya terbuka untuk peluang baru dan proyek menarik. Jangan ragu menghubungi saya jika ingin berkolaborasi!',
+    'contact.email': 'Email',
+    'contact.location': 'Lokasi',
+    'contact.locationValue': 'Jawa Tengah, Indonesia',
+    'contact.availability': 'Ketersediaan',
+    'contact.availabilityValue': 'Terbuka untuk peluang baru',
+    'contact.nameLabel': 'Nama Lengkap *',
+    'contact.emailLabel': 'Alamat Email *',
+    'contact.subjectLabel': 'Subjek',
+    'contact.messageLabel': 'Pesan *',
+    'contact.honeypotLabel': 'Biarkan kolom ini kosong',
+    'contact.send': 'Kirim Pesan',
+    'contact.sending': 'Mengirim...',
+    'contact.success': 'Pesan berhasil dikirim! Saya akan segera membalas.',
+    'contact.mailtoOpened': 'Aplikasi email Anda akan terbuka dengan pesan yang siap. Pesan belum terkirim sampai Anda mengirimnya dari sana.',
+    'contact.mailtoClear': 'Kosongkan formulir',
+    'contact.fixErrors': 'Perbaiki semua kesalahan sebelum mengirim.',
+    'contact.checkFields': 'Periksa kolom yang ditandai lalu coba lagi.',
+    'contact.spamRejected': 'Pesan Anda tidak dapat dikirim saat ini. Silakan coba lagi nanti atau kirim email langsung kepada saya.',
+    'contact.queued': 'Sepertinya Anda sedang offline. Pesan Anda masuk antrean dan akan dikirim otomatis saat Anda kembali online.',
+    'contact.queuedSent': 'Pesan Anda yang tertunda sudah terkirim.',
+    'contact.queuedSentMany': '{count} pesan Anda yang tertunda sudah terkirim.',
+    'contact.queuedDropped': 'Pesan yang tertunda tidak dapat dikirim. Pesan sudah dikembalikan ke formulir: periksa lalu kirim lagi.',
+    'contact.draftRestored': 'Draf dipulihkan — ',
+    'contact.draftDiscard': 'Buang',
+    'contact.error.timeout': 'Server terlalu lama merespons. Silakan coba lagi.',
+    'contact.error.network': 'Tidak dapat terhubung ke server. Periksa koneksi Anda lalu coba lagi.',
+    'contact.error.config': 'Formulir kontak belum disiapkan. Silakan kirim email langsung ke {email}.',
+    'contact.error.rateLimit': 'Terlalu banyak pesan terkirim. Tunggu beberapa menit lalu coba lagi.',
+    'contact.error.server': 'Terjadi masalah pada server (HTTP {status}). Silakan coba lagi nanti.',
+    'contact.error.rejected': 'Pesan tidak diterima (HTTP {status}). Silakan coba lagi nanti.',
+    'contact.error.generic': 'Gagal mengirim pesan. Silakan coba lagi nanti.',
+
+    'validation.required': 'Kolom ini wajib diisi',
+    'validation.email': 'Masukkan alamat email yang valid',
+    'validation.url': 'Masukkan URL lengkap, diawali https://',
+    'validation.number': 'Masukkan angka',
+    'validation.min': 'Minimal {min}',
+    'validation.max': 'Maksimal {max}',
+    'validation.minLength': 'Minimal {min} karakter',
+    'validation.maxLength': 'Maksimal {max} karakter',
+    'validation.pattern': 'Sesuaikan dengan format yang diminta',
+    'validation.personName': 'Gunakan huruf, spasi, apostrof, dan tanda hubung saja',
+    'validation.identifier': 'Awali dengan huruf; lalu huruf, angka, "-" atau "_"',
+    'validation.unique': 'Nama ini sudah dipakai',
+
+    'footer.rights': 'Hak cipta dilindungi.',
+    'footer.credits': 'Dibuat dengan ❤️ menggunakan HTML, CSS, dan JavaScript murni',
+    'footer.backToTop': 'Kembali ke atas',
+
+    'update.available': 'Versi baru situs ini tersedia.',
+    'update.reload': 'Muat ulang'
+});
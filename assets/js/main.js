@@ -3,32 +3,72 @@
  * Handles navigation, project loading, animations, and interactions
  */
 
-document.addEventListener('DOMContentLoaded', () => {
-    // Initialize all modules
-    initNavigation();
-    initSmoothScroll();
-    initProjectFilter();
-    initImageLoading();
-    initExperienceAnimations();
-    loadProjects();
-    initSkillAnimations();
-    if (typeof skillsManager !== 'undefined') {
-        skillsManager.init();
-    } else {
-        // Fallback to basic skills if manager fails
-        initBasicSkills();
+// Page modules, started by app.js (skills, theme and the contact form register in their own files)
+registerModule('navigation', {
+    init({ signal }) {
+        initNavigation({ signal });
+        initSmoothScroll({ signal });
+        initScrollSpy({ signal });
+        setCurrentYear();
+        
+        // Content above a linked section changes height as it loads
+        watchForVisitorScroll({ signal });
+        Promise.allSettled([whenModuleReady('projects'), whenModuleReady('experience')]).then(restoreSectionFromHash);
+        
+        // Add loading animation removal
+        document.body.classList.remove('loading');
+    },
+    destroy() {
+        if (scrollSpyObserver) scrollSpyObserver.disconnect();
+    }
+});
+
+registerModule('projects', {
+    dependsOn: ['i18n'],
+    async init({ signal }) {
+        initProjectFilter({ signal });
+        appEvents.on('localeChanged', refreshProjectCards, { signal });
+        await loadProjects();
+    }
+});
+
+registerModule('experience', {
+    dependsOn: ['i18n'],
+    async init({ signal }) {
+        appEvents.on('localeChanged', renderExperienceTimeline, { signal });
+        await loadExperience();
+    }
+});
+
+// Skill cards count the projects using them and project tech tags show skill levels
+registerModule('skill-links', {
+    dependsOn: ['projects', 'skills'],
+    init({ signal }) {
+        appEvents.on('skillsLoaded', linkSkillsAndProjects, { signal });
+        linkSkillsAndProjects();
+    }
+});
+
+registerModule('images', {
+    init() {
+        initImageLoading();
+        initImageFallbacks();
+    }
+});
+
+registerModule('service-worker', {
+    init({ signal }) {
+        if (!('serviceWorker' in navigator)) return;
+        if (document.readyState === 'complete') {
+            registerServiceWorker();
+        } else {
+            window.addEventListener('load', registerServiceWorker, { once: true, signal });
+        }
     }
-    setCurrentYear();
-    
-    // Initialize theme from localStorage
-    initTheme();
-    
-    // Add loading animation removal
-    document.body.classList.remove('loading');
 });
 
 // Navigation Management
-function initNavigation() {
+function initNavigation({ signal } = {}) {
     const hamburger = document.querySelector('.nav__hamburger');
   const navMenu = document.querySelector('.nav__menu');
   const navOverlay = document.querySelector('.nav__overlay');
@@ -77,11 +117,11 @@ function initNavigation() {
   hamburger.addEventListener('click', (e) => {
     e.stopPropagation();
     toggleMenu();
-  });
+  }, { signal });
   
   // Close menu when clicking overlay
   if (navOverlay) {
-    navOverlay.addEventListener('click', closeMenu);
+    navOverlay.addEventListener('click', closeMenu, { signal });
   }
   
   // Close menu when clicking a link
@@ -104,7 +144,7 @@ function initNavigation() {
           }
         }, 300); // Small delay to allow menu to close
       }
-    });
+    }, { signal });
   });
   
   // Close menu when pressing Escape key
@@ -112,7 +152,7 @@ function initNavigation() {
     if (e.key === 'Escape' && navMenu.classList.contains('active')) {
       closeMenu();
     }
-  });
+  }, { signal });
   
   // Close menu when clicking outside
   document.addEventListener('click', (e) => {
@@ -121,7 +161,7 @@ function initNavigation() {
         !hamburger.contains(e.target)) {
       closeMenu();
     }
-  });
+  }, { signal });
   
   // Close menu on window resize (if resizing to desktop)
   let resizeTimer;
@@ -132,13 +172,13 @@ function initNavigation() {
         closeMenu();
       }
     }, 250);
-  });
+  }, { signal });
   
   console.log('Mobile navigation initialized');
 }
 
 // Smooth scrolling
-function initSmoothScroll() {
+function initSmoothScroll({ signal } = {}) {
     const scrollLinks = document.querySelectorAll('[data-scroll-to]');
     
     scrollLinks.forEach(link => {
@@ -159,64 +199,322 @@ function initSmoothScroll() {
                 // Update URL without page reload
                 history.pushState(null, null, targetId);
             }
-        });
+        }, { signal });
     });
 }
 
 // Project Filtering
-function initProjectFilter() {
+// Type, text search and tech tags combine: a project must match all of them.
+// The state is mirrored in the query string (?type=&q=&tech=&sort=) so views can be shared.
+const PROJECTS_PAGE_SIZE = 6;
+const PROJECT_SORT_OPTIONS = ['featured', 'newest', 'alphabetical'];
+
+const projectFilterState = {
+    type: 'all',
+    query: '',
+    tech: [],
+    sort: 'featured'
+};
+
+// Loaded projects, their cards (created on first render) and how many are shown
+let allProjects = [];
+const projectCards = new Map();
+let projectsVisibleLimit = PROJECTS_PAGE_SIZE;
+
+// Loaded experience entries, kept so the timeline can be re-rendered
+let experienceEntries = [];
+
+// Binds the filter controls; refreshProjectFilter() applies the state from the URL
+function initProjectFilter({ signal } = {}) {
     const filterButtons = document.querySelectorAll('.filter-btn');
     const projectsGrid = document.getElementById('projects-grid');
+    const searchInput = document.getElementById('projects-search');
+    const techFilters = document.getElementById('projects-tech-filters');
+    const sortSelect = document.getElementById('projects-sort');
+    const showMoreButton = document.getElementById('projects-show-more');
+    const clearButton = document.querySelector('[data-filter-clear]');
     
-    if (!filterButtons.length || !projectsGrid) return;
+    if (!projectsGrid) return;
     
     filterButtons.forEach(button => {
         button.addEventListener('click', () => {
-            // Update active button
-            filterButtons.forEach(btn => btn.classList.remove('active'));
-            button.classList.add('active');
-            
-            // Filter projects
-            const filter = button.dataset.filter;
-            const projectCards = projectsGrid.querySelectorAll('.project-card');
+            projectFilterState.type = button.dataset.filter || 'all';
+            updateProjectFilter();
+        }, { signal });
+    });
+    
+    if (searchInput) {
+        let searchTimer;
+        searchInput.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => {
+                projectFilterState.query = searchInput.value.trim();
+                updateProjectFilter();
+            }, 200);
+        }, { signal });
+    }
+    
+    if (techFilters) {
+        techFilters.addEventListener('click', (e) => {
+            const tag = e.target.closest('[data-tech-filter]');
+            if (!tag) return;
             
-            projectCards.forEach(card => {
-                const projectType = card.dataset.type || 'frontend';
-                let shouldShow = false;
-                
-                switch(filter) {
-                    case 'all':
-                        shouldShow = true;
-                        break;
-                    case 'frontend':
-                        shouldShow = projectType === 'frontend';
-                        break;
-                    case 'backend':
-                        shouldShow = projectType === 'backend';
-                        break;
-                    case 'fullstack':
-                        shouldShow = projectType === 'fullstack';
-                        break;
-                    default:
-                        shouldShow = true;
-                }
-                
-                if (shouldShow) {
-                    card.style.display = 'block';
-                    setTimeout(() => {
-                        card.style.opacity = '1';
-                        card.style.transform = 'translateY(0)';
-                    }, 10);
-                } else {
-                    card.style.opacity = '0';
-                    card.style.transform = 'translateY(20px)';
-                    setTimeout(() => {
-                        card.style.display = 'none';
-                    }, 300);
-                }
-            });
+            const tech = tag.dataset.techFilter;
+            projectFilterState.tech = projectFilterState.tech.includes(tech)
+                ? projectFilterState.tech.filter(item => item !== tech)
+                : [...projectFilterState.tech, tech];
+            updateProjectFilter();
+        }, { signal });
+    }
+    
+    if (sortSelect) {
+        sortSelect.addEventListener('change', () => {
+            projectFilterState.sort = sortSelect.value;
+            updateProjectFilter();
+        }, { signal });
+    }
+    
+    if (showMoreButton) {
+        showMoreButton.addEventListener('click', showMoreProjects, { signal });
+    }
+    
+    if (clearButton) {
+        clearButton.addEventListener('click', resetProjectFilter, { signal });
+    }
+    
+    refreshProjectFilter();
+}
+
+// Filter state from the URL, applied to the controls and the grid (also after projects load)
+function refreshProjectFilter() {
+    if (!document.getElementById('projects-grid')) return;
+    
+    readProjectFilterFromUrl();
+    syncProjectFilterControls();
+    applyProjectFilters();
+}
+
+function updateProjectFilter() {
+    projectsVisibleLimit = PROJECTS_PAGE_SIZE;
+    syncProjectFilterControls();
+    writeProjectFilterToUrl();
+    applyProjectFilters();
+}
+
+function resetProjectFilter() {
+    projectFilterState.type = 'all';
+    projectFilterState.query = '';
+    projectFilterState.tech = [];
+    projectFilterState.sort = 'featured';
+    updateProjectFilter();
+}
+
+// Build the tech tag buttons from the loaded projects
+function renderTechFilters(projects) {
+    const techFilters = document.getElementById('projects-tech-filters');
+    if (!techFilters) return;
+    
+    const techByKey = new Map();
+    projects.forEach(project => {
+        project.tech.forEach(tech => {
+            const key = tech.toLowerCase();
+            if (!techByKey.has(key)) techByKey.set(key, tech);
         });
     });
+    
+    const techList = [...techByKey.entries()].sort((a, b) => a[1].localeCompare(b[1]));
+    
+    techFilters.innerHTML = html`${techList.map(([key, label]) => html`
+        <button type="button" class="filter-tag" data-tech-filter="${key}" aria-pressed="false">${label}</button>
+    `)}`;
+    
+    syncProjectFilterControls();
+}
+
+function syncProjectFilterControls() {
+    document.querySelectorAll('.filter-btn').forEach(button => {
+        const isActive = (button.dataset.filter || 'all') === projectFilterState.type;
+        button.classList.toggle('active', isActive);
+        button.setAttribute('aria-pressed', isActive);
+    });
+    
+    document.querySelectorAll('[data-tech-filter]').forEach(tag => {
+        const isActive = projectFilterState.tech.includes(tag.dataset.techFilter);
+        tag.classList.toggle('active', isActive);
+        tag.setAttribute('aria-pressed', isActive);
+    });
+    
+    const searchInput = document.getElementById('projects-search');
+    if (searchInput && searchInput.value.trim() !== projectFilterState.query) {
+        searchInput.value = projectFilterState.query;
+    }
+    
+    const sortSelect = document.getElementById('projects-sort');
+    if (sortSelect) {
+        sortSelect.value = projectFilterState.sort;
+    }
+}
+
+function readProjectFilterFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    
+    // Only types that have a filter button; anything else shows all projects
+    const type = params.get('type');
+    const knownTypes = [...document.querySelectorAll('.filter-btn[data-filter]')].map(button => button.dataset.filter);
+    projectFilterState.type = knownTypes.includes(type) ? type : 'all';
+    projectFilterState.query = params.get('q') || '';
+    projectFilterState.tech = (params.get('tech') || '')
+        .split(',')
+        .map(tech => tech.trim().toLowerCase())
+        .filter(Boolean);
+    
+    const sort = params.get('sort');
+    projectFilterState.sort = PROJECT_SORT_OPTIONS.includes(sort) ? sort : 'featured';
+}
+
+function writeProjectFilterToUrl() {
+    const url = new URL(window.location.href);
+    const params = url.searchParams;
+    
+    if (projectFilterState.type !== 'all') params.set('type', projectFilterState.type);
+    else params.delete('type');
+    
+    if (projectFilterState.query) params.set('q', projectFilterState.query);
+    else params.delete('q');
+    
+    if (projectFilterState.tech.length) params.set('tech', projectFilterState.tech.join(','));
+    else params.delete('tech');
+    
+    if (projectFilterState.sort !== 'featured') params.set('sort', projectFilterState.sort);
+    else params.delete('sort');
+    
+    history.replaceState(history.state, '', `${url.pathname}${url.search}${url.hash}`);
+}
+
+// Case- and accent-insensitive text for search matching
+function normalizeSearchText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '');
+}
+
+function projectMatchesFilter(project) {
+    const projectType = project.type || 'fullstack';
+    if (projectFilterState.type !== 'all' && projectType !== projectFilterState.type) {
+        return false;
+    }
+    
+    const projectTech = project.tech.map(tech => tech.toLowerCase());
+    if (!projectFilterState.tech.every(tech => projectTech.includes(tech))) {
+        return false;
+    }
+    
+    if (projectFilterState.query) {
+        const haystack = normalizeSearchText(`${localize(project.title)} ${localize(project.description)}`);
+        const terms = normalizeSearchText(projectFilterState.query).split(/\s+/).filter(Boolean);
+        if (!terms.every(term => haystack.includes(term))) {
+            return false;
+        }
+    }
+    
+    return true;
+}
+
+// Filtered and sorted projects; ties keep file order
+function getMatchingProjects() {
+    return allProjects
+        .map((project, index) => ({ project, index }))
+        .filter(({ project }) => projectMatchesFilter(project))
+        .sort((a, b) => compareProjects(a.project, b.project, projectFilterState.sort) || a.index - b.index)
+        .map(({ project }) => project);
+}
+
+function getProjectCard(project) {
+    if (!projectCards.has(project)) {
+        projectCards.set(project, createProjectCard(project));
+    }
+    return projectCards.get(project);
+}
+
+// Render the first page of matching projects; more are added by "Show more"
+function applyProjectFilters() {
+    const projectsGrid = document.getElementById('projects-grid');
+    if (!projectsGrid || !allProjects.length) return;
+    
+    const matchingProjects = getMatchingProjects();
+    const visibleProjects = matchingProjects.slice(0, projectsVisibleLimit);
+    
+    projectsGrid.replaceChildren(...visibleProjects.map(getProjectCard));
+    
+    const showMoreButton = document.getElementById('projects-show-more');
+    if (showMoreButton) {
+        const remaining = matchingProjects.length - visibleProjects.length;
+        showMoreButton.hidden = remaining <= 0;
+        showMoreButton.textContent = translate('projects.showMore', { count: remaining });
+    }
+    
+    const emptyState = document.getElementById('projects-empty');
+    if (emptyState) {
+        emptyState.hidden = matchingProjects.length > 0;
+    }
+    
+    const status = document.getElementById('projects-status');
+    if (status) {
+        status.textContent = translate('projects.status', { shown: visibleProjects.length, total: matchingProjects.length });
+    }
+}
+
+function showMoreProjects() {
+    const previousLimit = projectsVisibleLimit;
+    projectsVisibleLimit += PROJECTS_PAGE_SIZE;
+    applyProjectFilters();
+    
+    // Move focus to the first newly shown card
+    const projectsGrid = document.getElementById('projects-grid');
+    const firstNewCard = projectsGrid && projectsGrid.children[previousLimit];
+    const firstNewLink = firstNewCard && firstNewCard.querySelector('.project-card__title-link');
+    if (firstNewLink) firstNewLink.focus();
+}
+
+// Loaded projects that list this tech (names compare case-insensitively)
+function getProjectsUsingTech(tech) {
+    const key = String(tech).toLowerCase();
+    return allProjects.filter(project => project.tech.some(item => item.toLowerCase() === key));
+}
+
+// Show every project using one tech and bring the grid into view
+function showProjectsUsingTech(tech) {
+    projectFilterState.type = 'all';
+    projectFilterState.query = '';
+    projectFilterState.tech = [String(tech).toLowerCase()];
+    updateProjectFilter();
+    
+    const projectsSection = document.getElementById('projects');
+    if (!projectsSection) return;
+    
+    window.scrollTo({
+        top: projectsSection.offsetTop - getHeaderOffset(),
+        behavior: 'smooth'
+    });
+    
+    const firstLink = projectsSection.querySelector('.project-card__title-link');
+    if (firstLink) firstLink.focus({ preventScroll: true });
+}
+
+// Re-render both sides once projects and skills are loaded (and after skills reload)
+function linkSkillsAndProjects() {
+    skillsManager.refresh();
+    refreshProjectCards();
+    
+    // So skills.json can be filled in; without skills every tech would look unlisted
+    if (!skillsManager.skillsData) return;
+    const unlisted = findUnlistedTech({ projects: allProjects }, skillsManager.skillsData);
+    if (unlisted.length) {
+        console.warn(`Tech used in projects but missing from skills.json: ${unlisted
+            .map(({ tech, projects }) => `${tech} (${projects.join(', ')})`)
+            .join(', ')}`);
+    }
 }
 
 // Load Projects from JSON
@@ -225,7 +523,8 @@ async function loadProjects() {
         const response = await fetch('data/projects.json');
         if (!response.ok) throw new Error('Failed to load projects');
         
-        const data = await response.json();
+        // Invalid entries are skipped and reported in the console
+        const data = await validateDataFile('projects', await response.json());
         const projectsGrid = document.getElementById('projects-grid');
         
         if (!projectsGrid) return;
@@ -233,83 +532,108 @@ async function loadProjects() {
         // Clear loading state
         projectsGrid.innerHTML = '';
         
-        // Create project cards
-        data.projects.forEach(project => {
-            const projectCard = createProjectCard(project);
-            projectsGrid.appendChild(projectCard);
-        });
+        // Cards are created lazily as pages are rendered
+        allProjects = data.projects;
+        projectCards.clear();
+        projectsVisibleLimit = PROJECTS_PAGE_SIZE;
+        
+        // Re-apply the filter after loading (renders the first page)
+        renderTechFilters(data.projects);
+        refreshProjectFilter();
         
-        // Re-initialize filter after loading
-        setTimeout(initProjectFilter, 100);
+        // Other modules (e.g. the detail dialog) pick the projects up from here
+        appEvents.emit('projects:loaded', { projects: data.projects });
         
     } catch (error) {
         console.error('Error loading projects:', error);
-        showErrorMessage('Failed to load projects. Please try again later.');
+        showErrorMessage(translate('projects.loadError'));
     }
 }
 
-function createProjectCard(project) {
-    const card = document.createElement('article');
-    card.className = 'project-card fade-in';
-    card.dataset.tech = project.tech.join(' ').toLowerCase();
-    card.dataset.type = project.type || 'fullstack';
+// Load Experience & Education timeline from JSON
+async function loadExperience() {
+    const timeline = document.getElementById('experience-timeline');
+    if (!timeline) return;
     
-    // Handle image source
-    let imageUrl = project.image;
-    if (!project.image.startsWith('assets/') && !project.image.startsWith('http')) {
-        imageUrl = `https://picsum.photos/600/400?random=${project.id}&grayscale`;
+    try {
+        const response = await fetch('data/experience.json');
+        if (!response.ok) throw new Error('Failed to load experience');
+        
+        // Invalid entries are skipped and reported in the console
+        const data = await validateDataFile('experience', await response.json());
+        
+        experienceEntries = data.experience;
+        renderExperienceTimeline();
+        appEvents.emit('experience:loaded', { experience: data.experience });
+        
+    } catch (error) {
+        console.error('Error loading experience:', error);
+        showErrorMessage(translate('experience.loadError'), 'experience-timeline', loadExperience);
     }
+}
+
+function renderExperienceTimeline() {
+    const timeline = document.getElementById('experience-timeline');
+    if (!timeline || !experienceEntries.length) return;
     
-    // Generate links HTML only if URLs exist
-    const demoLink = project.demo ? `
-        <a href="${project.demo}" class="btn btn--primary project-card__link" 
-           target="_blank" rel="noopener noreferrer" aria-label="View live demo of ${project.title}">
-            Live Demo
-        </a>
-    ` : `
-        <button class="btn btn--primary project-card__link btn--disabled" 
-                disabled aria-label="Live demo not available for ${project.title}">
-            Demo N/A
-        </button>
-    `;
+    // Clear loading state
+    timeline.innerHTML = '';
     
-    const githubLink = project.github ? `
-        <a href="${project.github}" class="btn btn--secondary project-card__link" 
-           target="_blank" rel="noopener noreferrer" aria-label="View source code of ${project.title} on GitHub">
-            GitHub
-        </a>
-    ` : `
-        <button class="btn btn--secondary project-card__link btn--disabled" 
-                disabled aria-label="Source code not available for ${project.title}">
-            Code Private
-        </button>
-    `;
+    // Create timeline items
+    experienceEntries.forEach(entry => {
+        timeline.appendChild(createTimelineItem(entry));
+    });
+    
+    // Animate the rendered items
+    initExperienceAnimations();
+}
+
+// For the skills summary (years of experience)
+function getExperienceEntries() {
+    return experienceEntries;
+}
+
+// Rebuild the project cards after a language change
+function refreshProjectCards() {
+    if (!allProjects.length) return;
+    projectCards.clear();
+    applyProjectFilters();
+}
+
+function createTimelineItem(entry) {
+    const item = document.createElement('div');
+    item.className = 'timeline__item';
+    item.classList.add(`timeline__item--${entry.type === 'education' ? 'education' : 'work'}`);
+    item.dataset.type = entry.type || 'work';
+    
+    const dateRange = formatDateRange(entry.start, entry.end);
     
-    card.innerHTML = `
-        <div class="project-card__image-container">
-            <img 
-                src="${imageUrl}" 
-                alt="${project.title} project screenshot" 
-                class="project-card__image"
-                loading="lazy"
-                onerror="this.onerror=null; this.src='https://picsum.photos/600/400?random=${project.id}&grayscale'; this.alt='Project placeholder image'"
-            >
-            <div class="project-card__image-overlay"></div>
+    const highlights = entry.highlights && entry.highlights.length ? html`
+        <ul class="timeline__list">
+            ${entry.highlights.map(highlight => html`<li class="timeline__list-item">${localize(highlight)}</li>`)}
+        </ul>
+    ` : '';
+    
+    const summary = entry.summary ? html`<p class="timeline__description">${localize(entry.summary)}</p>` : '';
+    
+    const tags = entry.tags && entry.tags.length ? html`
+        <div class="timeline__tags">
+            ${entry.tags.map(tag => html`<span class="tag">${tag}</span>`)}
         </div>
-        <div class="project-card__content">
-            <h3 class="project-card__title">${project.title}</h3>
-            <p class="project-card__description">${project.description}</p>
-            <div class="project-card__tech">
-                ${project.tech.map(tech => `<span class="project-card__tech-tag">${tech}</span>`).join('')}
-            </div>
-            <div class="project-card__links">
-                ${demoLink}
-                ${githubLink}
-            </div>
+    ` : '';
+    
+    item.innerHTML = html`
+        <div class="timeline__content">
+            <span class="timeline__date">${dateRange}</span>
+            <h3 class="timeline__title">${localize(entry.title)}</h3>
+            <h4 class="timeline__subtitle">${entry.organization}</h4>
+            ${summary}
+            ${highlights}
+            ${tags}
         </div>
     `;
     
-    return card;
+    return item;
 }
 
 // Handle image lazy loading and fallbacks
@@ -338,8 +662,8 @@ function initImageLoading() {
                     
                     imageLoader.onerror = () => {
                         // Use placeholder if image fails to load
-                        img.src = `https://picsum.photos/600/400?random=${Math.floor(Math.random() * 1000)}&grayscale`;
-                        img.alt = 'Project placeholder image';
+                        img.src = getImagePlaceholder(img);
+                        img.alt = translate('project.placeholderAlt');
                         img.classList.remove('loading');
                         img.classList.add('loaded');
                         imageObserver.unobserve(img);
@@ -372,7 +696,7 @@ function initImageLoading() {
                 img.classList.add('loaded');
             };
             imageLoader.onerror = () => {
-                img.src = `https://picsum.photos/600/400?random=${Math.floor(Math.random() * 1000)}&grayscale`;
+                img.src = getImagePlaceholder(img);
                 img.classList.remove('loading');
                 img.classList.add('loaded');
             };
@@ -381,39 +705,6 @@ function initImageLoading() {
     }
 }
 
-// Skill Animations
-function initSkillAnimations() {
-    const skills = document.querySelectorAll('.skill');
-    const observerOptions = {
-        root: null,
-        rootMargin: '0px',
-        threshold: 0.3
-    };
-    
-    const observer = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-            if (entry.isIntersecting) {
-                const skill = entry.target;
-                const progressBar = skill.querySelector('.skill__progress');
-                const level = skill.dataset.skillLevel || '0';
-                
-                // Animate progress bar
-                setTimeout(() => {
-                    progressBar.style.width = `${level}%`;
-                }, 200);
-                
-                // Animate skill entry
-                skill.style.animationDelay = `${Math.random() * 0.3}s`;
-                skill.classList.add('animate');
-                
-                observer.unobserve(skill);
-            }
-        });
-    }, observerOptions);
-    
-    skills.forEach(skill => observer.observe(skill));
-}
-
 // Experience Animations
 function initExperienceAnimations() {
     const timelineItems = document.querySelectorAll('.timeline__item');
@@ -436,28 +727,106 @@ function initExperienceAnimations() {
     timelineItems.forEach(item => observer.observe(item));
 }
 
-// Update active nav link on scroll
-function updateActiveNavLink() {
-    const sections = document.querySelectorAll('section[id]');
-    const navLinks = document.querySelectorAll('.nav__link[data-nav-link]');
-    
-    let currentSection = '';
-    const scrollPosition = window.scrollY + 100;
+// Scroll-spy: the section under the header is the current one. Its nav link gets .active and
+// aria-current="location", and the URL hash follows it without scrolling.
+let scrollSpyObserver = null;
+let currentSpySection = null;
+const visibleSpySections = new Set();
+
+function getHeaderOffset() {
+    const header = document.querySelector('.header');
+    return header ? header.offsetHeight : 0;
+}
+
+// Sections that have a nav link (the nav lists them in page order)
+function getSpySections() {
+    return [...document.querySelectorAll('.nav__link[data-nav-link]')]
+        .map(link => link.hash && document.getElementById(link.hash.slice(1)))
+        .filter(Boolean);
+}
+
+function initScrollSpy({ signal } = {}) {
+    const sections = getSpySections();
+    if (!sections.length || !('IntersectionObserver' in window)) return;
     
-    sections.forEach(section => {
-        const sectionTop = section.offsetTop;
-        const sectionHeight = section.clientHeight;
+    // A band from the bottom of the header to the middle of the screen; the first section
+    // in it is the current one
+    const observe = () => {
+        if (scrollSpyObserver) scrollSpyObserver.disconnect();
+        visibleSpySections.clear();
         
-        if (scrollPosition >= sectionTop && scrollPosition < sectionTop + sectionHeight) {
-            currentSection = section.getAttribute('id');
+        scrollSpyObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) visibleSpySections.add(entry.target);
+                else visibleSpySections.delete(entry.target);
+            });
+            updateScrollSpy(sections);
+        }, {
+            rootMargin: `-${getHeaderOffset()}px 0px -50% 0px`
+        });
+        
+        sections.forEach(section => scrollSpyObserver.observe(section));
+    };
+    
+    observe();
+    
+    // The header height changes with the layout
+    window.addEventListener('resize', throttle(observe, 250), { signal });
+    
+    // A short last section never reaches the band; select it at the bottom of the page
+    window.addEventListener('scroll', throttle(() => updateScrollSpy(sections), 100), { passive: true, signal });
+}
+
+function updateScrollSpy(sections) {
+    const atBottom = window.innerHeight + window.scrollY >= document.documentElement.scrollHeight - 2;
+    const current = atBottom && window.scrollY > 0
+        ? sections[sections.length - 1]
+        : sections.find(section => visibleSpySections.has(section));
+    
+    if (!current || current === currentSpySection) return;
+    currentSpySection = current;
+    
+    updateActiveNavLink(current.id);
+    
+    // The first section is the top of the page: no hash
+    const url = new URL(window.location.href);
+    url.hash = current === sections[0] ? '' : current.id;
+    if (url.href !== window.location.href) {
+        history.replaceState(history.state, '', `${url.pathname}${url.search}${url.hash}`);
+    }
+}
+
+function updateActiveNavLink(sectionId) {
+    document.querySelectorAll('.nav__link[data-nav-link]').forEach(link => {
+        const isCurrent = link.hash === `#${sectionId}`;
+        link.classList.toggle('active', isCurrent);
+        if (isCurrent) {
+            link.setAttribute('aria-current', 'location');
+        } else {
+            link.removeAttribute('aria-current');
         }
     });
+}
+
+// Opened with #section: the browser jumped before the projects and timeline were rendered,
+// so scroll again once they are in (unless the visitor has started scrolling already)
+let visitorHasScrolled = false;
+
+function watchForVisitorScroll({ signal } = {}) {
+    visitorHasScrolled = false;
+    ['wheel', 'touchmove', 'keydown'].forEach(type => {
+        window.addEventListener(type, () => { visitorHasScrolled = true; }, { once: true, passive: true, signal });
+    });
+}
+
+function restoreSectionFromHash() {
+    const id = window.location.hash.slice(1);
+    const target = id && document.getElementById(id);
+    if (!target || visitorHasScrolled) return;
     
-    navLinks.forEach(link => {
-        link.classList.remove('active');
-        if (link.getAttribute('href') === `#${currentSection}`) {
-            link.classList.add('active');
-        }
+    window.scrollTo({
+        top: target.getBoundingClientRect().top + window.scrollY - getHeaderOffset(),
+        behavior: 'instant'
     });
 }
 
@@ -469,30 +838,19 @@ function setCurrentYear() {
     }
 }
 
-// Show error message
-function showErrorMessage(message) {
-    const projectsGrid = document.getElementById('projects-grid');
-    if (projectsGrid) {
-        projectsGrid.innerHTML = `
+// Show error message (defaults to the projects grid)
+function showErrorMessage(message, containerId = 'projects-grid', onRetry = loadProjects) {
+    const container = document.getElementById(containerId);
+    if (container) {
+        container.innerHTML = html`
             <div class="error-message" style="grid-column: 1/-1; text-align: center; padding: 2rem;">
                 <p style="color: var(--color-text-light);">${message}</p>
-                <button onclick="loadProjects()" class="btn btn--primary" style="margin-top: 1rem;">
-                    Retry
+                <button type="button" class="btn btn--primary" style="margin-top: 1rem;">
+                    ${translate('common.retry')}
                 </button>
             </div>
         `;
-    }
-}
-
-// Initialize theme
-function initTheme() {
-    const savedTheme = localStorage.getItem('portfolio-theme') || 'light';
-    document.documentElement.setAttribute('data-theme', savedTheme);
-    
-    // Update theme icon
-    const themeIcon = document.querySelector('[data-theme-icon]');
-    if (themeIcon) {
-        themeIcon.textContent = savedTheme === 'dark' ? '☀️' : '🌙';
+        container.querySelector('.error-message button').addEventListener('click', () => onRetry());
     }
 }
 
@@ -511,26 +869,74 @@ function throttle(func, limit) {
 }
 
 // Handle service worker for PWA capabilities (optional)
-if ('serviceWorker' in navigator) {
-    window.addEventListener('load', () => {
-        navigator.serviceWorker.register('/sw.js').catch(error => {
-            console.log('Service Worker registration failed:', error);
+async function registerServiceWorker() {
+    try {
+        const registration = await navigator.serviceWorker.register('sw.js');
+        
+        // A new version finished installing while this page was closed
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            showUpdateBanner(registration.waiting);
+        }
+        
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            
+            worker.addEventListener('statechange', () => {
+                // No controller means this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    showUpdateBanner(worker);
+                }
+            });
         });
+        
+        // Reload once the new worker has taken over
+        let isReloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (isReloading) return;
+            isReloading = true;
+            window.location.reload();
+        });
+    } catch (error) {
+        console.log('Service Worker registration failed:', error);
+    }
+}
+
+// "New version available" banner
+function showUpdateBanner(worker) {
+    if (document.querySelector('.update-banner')) return;
+    
+    const banner = document.createElement('div');
+    banner.className = 'update-banner';
+    banner.setAttribute('role', 'status');
+    banner.innerHTML = html`
+        <span class="update-banner__text">${translate('update.available')}</span>
+        <button type="button" class="btn btn--primary update-banner__reload">${translate('update.reload')}</button>
+        <button type="button" class="update-banner__dismiss" aria-label="${translate('common.dismiss')}">&times;</button>
+    `;
+    
+    banner.querySelector('.update-banner__reload').addEventListener('click', () => {
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    });
+    banner.querySelector('.update-banner__dismiss').addEventListener('click', () => {
+        banner.remove();
     });
+    
+    document.body.appendChild(banner);
 }
 
 // Handle images loading
-document.addEventListener('DOMContentLoaded', () => {
+function initImageFallbacks() {
     const images = document.querySelectorAll('img');
     images.forEach(img => {
         img.addEventListener('load', () => {
             img.classList.add('loaded');
         });
         
-        // Handle broken images
+        // Handle broken images (once, so a failing placeholder cannot loop)
         img.addEventListener('error', () => {
-            img.src = 'https://picsum.photos/400/300?random=404';
-            img.alt = 'Placeholder image';
-        });
+            img.src = getImagePlaceholder(img);
+            img.alt = translate('image.placeholderAlt');
+        }, { once: true });
     });
-});
\ No newline at end of file
+}
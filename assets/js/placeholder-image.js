@@ -0,0 +1,84 @@
+/**
+ * Placeholder Images
+ * Builds an inline SVG placeholder from a project's title, type and id, so missing or broken
+ * images get the same local image every time (no network, no randomness).
+ * Served as a data: URI, so a Content-Security-Policy needs "img-src 'self' data:".
+ * Uses hashString() from hash.js.
+ */
+
+// Theme variable per project type, with the light theme values as fallback
+const PLACEHOLDER_COLORS = {
+    frontend: ['--color-primary', '#2563eb'],
+    backend: ['--color-secondary', '#7c3aed'],
+    fullstack: ['--color-accent', '#f59e0b'],
+    default: ['--color-primary', '#2563eb']
+};
+
+const PLACEHOLDER_ACCENTS = [
+    ['--color-primary-dark', '#1d4ed8'],
+    ['--color-secondary', '#7c3aed'],
+    ['--color-primary', '#2563eb'],
+    ['--color-accent', '#f59e0b']
+];
+
+function readThemeColor([variable, fallback]) {
+    if (typeof document === 'undefined' || typeof getComputedStyle === 'undefined') return fallback;
+    const value = getComputedStyle(document.documentElement).getPropertyValue(variable).trim();
+    return value || fallback;
+}
+
+// "Internal Evaluation System" -> "IE", "SiMun" -> "SM", "portfolio" -> "PO"
+function getInitials(title) {
+    const words = String(title || '')
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+
+    if (!words.length) return '?';
+    if (words.length === 1) return words[0].slice(0, 2).toUpperCase();
+    return (words[0][0] + words[1][0]).toUpperCase();
+}
+
+function escapeXml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+    }[char]));
+}
+
+// Returns a data: URI for an SVG placeholder
+function createPlaceholderImage({ title = '', type = '', id = '' } = {}, { width = 600, height = 400 } = {}) {
+    const hash = hashString(`${id}|${title}|${type}`);
+    const baseColor = readThemeColor(PLACEHOLDER_COLORS[type] || PLACEHOLDER_COLORS.default);
+    const accentColor = readThemeColor(PLACEHOLDER_ACCENTS[hash % PLACEHOLDER_ACCENTS.length]);
+    const angle = hash % 360;
+
+    // Two soft circles whose position depends on the hash
+    const circles = [0, 1].map(index => {
+        const bits = hash >>> (index * 8);
+        const cx = Math.round(((bits & 0xff) / 255) * width);
+        const cy = Math.round((((bits >>> 4) & 0xff) / 255) * height);
+        const r = Math.round(height * (0.3 + index * 0.2));
+        return `<circle cx="${cx}" cy="${cy}" r="${r}" fill="#ffffff" fill-opacity="0.08"/>`;
+    }).join('');
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+        `<defs><linearGradient id="g" gradientTransform="rotate(${angle} 0.5 0.5)">` +
+        `<stop offset="0" stop-color="${escapeXml(baseColor)}"/><stop offset="1" stop-color="${escapeXml(accentColor)}"/>` +
+        `</linearGradient></defs>` +
+        `<rect width="100%" height="100%" fill="url(#g)"/>${circles}` +
+        `<text x="50%" y="50%" dy="0.35em" text-anchor="middle" fill="#ffffff" ` +
+        `font-family="Inter, -apple-system, 'Segoe UI', sans-serif" font-weight="700" font-size="${Math.round(height * 0.3)}">` +
+        `${escapeXml(getInitials(title))}</text></svg>`;
+
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+// Placeholder for an <img>: the one its renderer stored, or one built from its alt text
+function getImagePlaceholder(img) {
+    return img.dataset.placeholder || createPlaceholderImage({ title: img.alt || 'Image' });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createPlaceholderImage, getInitials };
+}
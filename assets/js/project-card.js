@@ -0,0 +1,136 @@
+/**
+ * Project Card
+ * Builds the project card markup shared by the projects grid and the admin preview,
+ * and the project order shared by the grid and the CV
+ */
+
+function createProjectCard(project) {
+    const card = document.createElement('article');
+    card.className = 'project-card fade-in';
+    if (project.featured) card.classList.add('project-card--featured');
+    card.dataset.tech = project.tech.join('|').toLowerCase();
+    card.dataset.type = project.type || 'fullstack';
+    
+    // Text fields may be per-locale ({ en, id }); the placeholder always uses the English title
+    const title = localize(project.title);
+    const description = localize(project.description);
+    
+    // Same local placeholder every time for the same project
+    const placeholderUrl = createPlaceholderImage({ ...project, title: localize(project.title, DEFAULT_LOCALE) });
+    
+    // Handle image source
+    let imageUrl = sanitizeUrl(project.image);
+    if (!imageUrl.startsWith('assets/') && !imageUrl.startsWith('http')) {
+        imageUrl = placeholderUrl;
+    }
+    
+    // Shareable URL for the detail dialog
+    const projectUrl = typeof getProjectUrl === 'function' ? getProjectUrl(project) : '#projects';
+    
+    // Generate links HTML only if URLs exist and are safe
+    const demoUrl = sanitizeUrl(project.demo);
+    const githubUrl = sanitizeUrl(project.github);
+    
+    const demoLink = demoUrl ? html`
+        <a href="${demoUrl}" class="btn btn--primary project-card__link" 
+           target="_blank" rel="noopener noreferrer" aria-label="${translate('project.liveDemoLabel', { title })}">
+            ${translate('project.liveDemo')}
+        </a>
+    ` : html`
+        <button class="btn btn--primary project-card__link btn--disabled" 
+                disabled aria-label="${translate('project.demoUnavailableLabel', { title })}">
+            ${translate('project.demoUnavailable')}
+        </button>
+    `;
+    
+    const githubLink = githubUrl ? html`
+        <a href="${githubUrl}" class="btn btn--secondary project-card__link" 
+           target="_blank" rel="noopener noreferrer" aria-label="${translate('project.githubLabel', { title })}">
+            ${translate('project.github')}
+        </a>
+    ` : html`
+        <button class="btn btn--secondary project-card__link btn--disabled" 
+                disabled aria-label="${translate('project.codePrivateLabel', { title })}">
+            ${translate('project.codePrivate')}
+        </button>
+    `;
+    
+    card.innerHTML = html`
+        <div class="project-card__image-container">
+            <img 
+                src="${imageUrl}" 
+                alt="${translate('project.screenshotAlt', { title })}" 
+                class="project-card__image"
+                loading="lazy"
+            >
+            <div class="project-card__image-overlay"></div>
+        </div>
+        <div class="project-card__content">
+            ${project.featured ? html`<span class="project-card__badge">${translate('project.featured')}</span>` : ''}
+            <h3 class="project-card__title">
+                <a href="${projectUrl}" class="project-card__title-link">${title}</a>
+            </h3>
+            <p class="project-card__description">${description}</p>
+            <div class="project-card__tech">
+                ${project.tech.map(createTechTag)}
+            </div>
+            <div class="project-card__links">
+                ${demoLink}
+                ${githubLink}
+            </div>
+        </div>
+    `;
+    
+    // Fall back to a placeholder once if the screenshot fails to load
+    const image = card.querySelector('.project-card__image');
+    image.dataset.placeholder = placeholderUrl;
+    image.addEventListener('error', () => {
+        image.src = placeholderUrl;
+        image.alt = translate('project.placeholderAlt');
+    }, { once: true });
+    
+    if (typeof bindProjectCardDetail === 'function') {
+        bindProjectCardDetail(card, project);
+    }
+    
+    return card;
+}
+
+// Missing dates sort last; "2024", "2024-06" and "2024-06-01" are all accepted
+function getProjectTimestamp(project) {
+    const time = project.date ? Date.parse(project.date) : NaN;
+    return Number.isNaN(time) ? -Infinity : time;
+}
+
+// sort: 'featured' (default), 'newest' or 'alphabetical'
+function compareProjects(a, b, sort) {
+    const byDate = getProjectTimestamp(b) - getProjectTimestamp(a);
+    
+    switch (sort) {
+        case 'newest':
+            return byDate || 0;
+        case 'alphabetical':
+            return localize(a.title).localeCompare(localize(b.title), getLocale(), { sensitivity: 'base' });
+        case 'featured':
+        default: {
+            const byFeatured = Number(Boolean(b.featured)) - Number(Boolean(a.featured));
+            const orderA = Number.isFinite(a.order) ? a.order : Infinity;
+            const orderB = Number.isFinite(b.order) ? b.order : Infinity;
+            const byOrder = orderA === orderB ? 0 : (orderA < orderB ? -1 : 1);
+            return byFeatured || byOrder || byDate || 0;
+        }
+    }
+}
+
+// A tech tag; when the skills are loaded and list this tech, its level is shown as a tooltip
+// (and read out by screen readers)
+function createTechTag(tech) {
+    const skill = typeof skillsManager !== 'undefined' ? skillsManager.findSkill(tech) : null;
+    if (!skill) return html`<span class="project-card__tech-tag">${tech}</span>`;
+    
+    const level = translate('project.techLevel', { label: skillsManager.getProficiencyLabel(skill.level), level: skill.level });
+    
+    return html`
+        <span class="project-card__tech-tag project-card__tech-tag--skill" data-tooltip="${level}">${tech}<span class="visually-hidden"> (${level})</span></span>
+    `;
+}
@@ -0,0 +1,227 @@
+/**
+ * Project Detail Dialog
+ * Opens an accessible detail view for a project and keeps it in sync with the URL (?project=slug)
+ */
+
+const PROJECT_QUERY_PARAM = 'project';
+
+let detailProjects = [];
+let detailDialog = null;
+let detailLastFocus = null;
+
+registerModule('project-detail', {
+    init({ signal }) {
+        detailDialog = document.getElementById('project-dialog');
+        if (!detailDialog) return;
+
+        initProjectDialog({ signal });
+
+        // Sent by loadProjects() once the cards are rendered
+        appEvents.on('projects:loaded', ({ projects }) => initProjectDetail(projects), { signal });
+    }
+});
+
+// Dialog, history and language listeners; all removed when the module stops
+function initProjectDialog({ signal }) {
+    // Close button and backdrop click
+    detailDialog.addEventListener('click', (e) => {
+        if (e.target === detailDialog || e.target.closest('[data-dialog-close]')) {
+            closeProjectDialog();
+        }
+    }, { signal });
+
+    // Escape closes the native dialog; keep the URL in step with it
+    detailDialog.addEventListener('cancel', (e) => {
+        e.preventDefault();
+        closeProjectDialog();
+    }, { signal });
+
+    // Back/forward between project URLs
+    window.addEventListener('popstate', syncProjectDialogWithUrl, { signal });
+
+    // Re-render an open dialog in the new language
+    appEvents.on('localeChanged', () => {
+        const project = findProject(new URLSearchParams(window.location.search).get(PROJECT_QUERY_PARAM));
+        if (detailDialog.open && project) renderProjectDetail(project);
+    }, { signal });
+}
+
+function initProjectDetail(projects) {
+    detailProjects = Array.isArray(projects) ? projects : [];
+
+    // Open the project requested by a shared link
+    syncProjectDialogWithUrl();
+}
+
+// Cards open the dialog; real links and buttons inside them keep their own behaviour
+function bindProjectCardDetail(card, project) {
+    const titleLink = card.querySelector('.project-card__title-link');
+
+    card.addEventListener('click', (e) => {
+        const control = e.target.closest('a, button');
+        if (control && control !== titleLink) return;
+        e.preventDefault();
+        openProjectDialog(project);
+    });
+}
+
+// Slugs come from the English title so shared links work in every language
+function getProjectSlug(project) {
+    if (project.slug) return String(project.slug);
+    return String(localize(project.title, DEFAULT_LOCALE) || project.id)
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// Shareable link: just the project, not the filters active when the card was built
+function getProjectUrl(project) {
+    const params = new URLSearchParams({ [PROJECT_QUERY_PARAM]: getProjectSlug(project) });
+    return `${window.location.pathname}?${params}`;
+}
+
+// Accepts a slug or a numeric id
+function findProject(key) {
+    if (!key) return null;
+    return detailProjects.find(project =>
+        getProjectSlug(project) === key || String(project.id) === key
+    ) || null;
+}
+
+function openProjectDialog(project, updateHistory = true) {
+    if (!detailDialog || !project) return;
+
+    if (!detailDialog.open) {
+        detailLastFocus = document.activeElement;
+    }
+
+    renderProjectDetail(project);
+
+    if (updateHistory) {
+        const isSameProject = new URLSearchParams(window.location.search).get(PROJECT_QUERY_PARAM) === getProjectSlug(project);
+        if (!isSameProject) {
+            // The history entry keeps the current filters, so going back restores them
+            const url = new URL(window.location.href);
+            url.searchParams.set(PROJECT_QUERY_PARAM, getProjectSlug(project));
+            history.pushState({ project: getProjectSlug(project) }, '', `${url.pathname}${url.search}${url.hash}`);
+        }
+    }
+
+    if (!detailDialog.open) {
+        if (typeof detailDialog.showModal === 'function') {
+            detailDialog.showModal();
+        } else {
+            detailDialog.setAttribute('open', '');
+        }
+        document.body.classList.add('dialog-open');
+    }
+
+    const closeButton = detailDialog.querySelector('[data-dialog-close]');
+    if (closeButton) closeButton.focus();
+}
+
+function closeProjectDialog(updateHistory = true) {
+    if (!detailDialog || !detailDialog.open) return;
+
+    if (typeof detailDialog.close === 'function') {
+        detailDialog.close();
+    } else {
+        detailDialog.removeAttribute('open');
+    }
+    document.body.classList.remove('dialog-open');
+
+    if (updateHistory) {
+        if (history.state && history.state.project) {
+            // We pushed this entry, so going back restores the previous URL
+            history.back();
+        } else {
+            // Opened from a shared link: drop the parameter in place
+            const url = new URL(window.location.href);
+            url.searchParams.delete(PROJECT_QUERY_PARAM);
+            history.replaceState(null, '', `${url.pathname}${url.search}${url.hash}`);
+        }
+    }
+
+    if (detailLastFocus && typeof detailLastFocus.focus === 'function') {
+        detailLastFocus.focus();
+    }
+    detailLastFocus = null;
+}
+
+function syncProjectDialogWithUrl() {
+    const key = new URLSearchParams(window.location.search).get(PROJECT_QUERY_PARAM);
+    const project = findProject(key);
+
+    if (project) {
+        openProjectDialog(project, false);
+    } else {
+        if (key) console.warn('Project not found:', key);
+        closeProjectDialog(false);
+    }
+}
+
+function renderProjectDetail(project) {
+    const body = detailDialog.querySelector('.project-dialog__body');
+    if (!body) return;
+
+    // Screenshots: the card image first, then any extra ones
+    const screenshots = [project.image, ...(project.screenshots || [])]
+        .map(shot => (typeof shot === 'string' ? { src: shot } : shot))
+        .filter(shot => shot && sanitizeUrl(shot.src))
+        .filter((shot, index, list) => list.findIndex(other => other.src === shot.src) === index);
+
+    const title = localize(project.title);
+    const dates = formatDateRange(project.start, project.end);
+    const meta = [
+        project.role ? { label: translate('project.role'), value: localize(project.role) } : null,
+        project.teamSize ? {
+            label: translate('project.teamSize'),
+            value: project.teamSize === 1 ? translate('project.solo') : translate('project.people', { count: project.teamSize })
+        } : null,
+        dates ? { label: translate('project.dates'), value: dates } : null,
+        project.type ? { label: translate('project.type'), value: translate(`projects.filter.${project.type}`) } : null
+    ].filter(Boolean);
+
+    const demoUrl = sanitizeUrl(project.demo);
+    const githubUrl = sanitizeUrl(project.github);
+
+    body.innerHTML = html`
+        <h2 class="project-dialog__title" id="project-dialog-title">${title}</h2>
+        ${meta.length ? html`
+            <dl class="project-dialog__meta">
+                ${meta.map(item => html`
+                    <div class="project-dialog__meta-item">
+                        <dt>${item.label}</dt>
+                        <dd>${item.value}</dd>
+                    </div>
+                `)}
+            </dl>
+        ` : ''}
+        ${screenshots.length ? html`
+            <div class="project-dialog__gallery">
+                ${screenshots.map((shot, index) => html`
+                    <img
+                        src="${sanitizeUrl(shot.src)}"
+                        alt="${localize(shot.alt) || translate('project.screenshotNumberAlt', { title, number: index + 1 })}"
+                        class="project-dialog__image"
+                        loading="lazy"
+                    >
+                `)}
+            </div>
+        ` : ''}
+        <p class="project-dialog__description">${localize(project.longDescription || project.description)}</p>
+        <div class="project-card__tech">
+            ${project.tech.map(tech => html`<span class="project-card__tech-tag">${tech}</span>`)}
+        </div>
+        <div class="project-dialog__links">
+            ${demoUrl ? html`
+                <a href="${demoUrl}" class="btn btn--primary" target="_blank" rel="noopener noreferrer">${translate('project.liveDemo')}</a>
+            ` : ''}
+            ${githubUrl ? html`
+                <a href="${githubUrl}" class="btn btn--secondary" target="_blank" rel="noopener noreferrer">${translate('project.github')}</a>
+            ` : ''}
+        </div>
+    `;
+}
@@ -0,0 +1,79 @@
+/**
+ * Safe Templating Helpers
+ * Escapes data-driven text and filters URLs before they are written into innerHTML
+ */
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+    '`': '&#96;'
+};
+
+// Only these schemes may appear in href/src values coming from data files
+const ALLOWED_URL_PROTOCOLS = ['http:', 'https:'];
+
+// Wrapper for markup that has already been built safely
+class SafeHTML {
+    constructor(value) {
+        this.value = String(value);
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+// Escape a value for use in HTML text or a quoted attribute
+function escapeHTML(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/[&<>"'`]/g, char => HTML_ESCAPES[char]);
+}
+
+// Return the URL if it is http(s) or relative, otherwise an empty string
+function sanitizeUrl(url) {
+    if (typeof url !== 'string') return '';
+
+    // Browsers ignore control characters and whitespace inside schemes ("java\tscript:")
+    const trimmed = url.trim();
+    const normalized = trimmed.replace(/[\u0000-\u001F\u007F\s]+/g, '');
+    if (!normalized) return '';
+
+    const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (!scheme) {
+        // Relative URL (path, query, fragment or protocol-relative)
+        return trimmed;
+    }
+
+    return ALLOWED_URL_PROTOCOLS.includes(`${scheme[1].toLowerCase()}:`) ? trimmed : '';
+}
+
+// Mark trusted, already-escaped markup so html`` does not escape it again
+function rawHTML(markup) {
+    return markup instanceof SafeHTML ? markup : new SafeHTML(markup);
+}
+
+// Tagged template: every interpolated value is escaped unless it is SafeHTML.
+// Arrays are rendered item by item, and null/undefined/false render nothing.
+function html(strings, ...values) {
+    const renderValue = (value) => {
+        if (value === null || value === undefined || value === false) return '';
+        if (value instanceof SafeHTML) return value.value;
+        if (Array.isArray(value)) return value.map(renderValue).join('');
+        return escapeHTML(value);
+    };
+
+    const output = strings.reduce((result, string, index) => {
+        const value = index < values.length ? renderValue(values[index]) : '';
+        return result + string + value;
+    }, '');
+
+    return new SafeHTML(output);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SafeHTML, escapeHTML, sanitizeUrl, rawHTML, html };
+}
@@ -0,0 +1,175 @@
+/**
+ * Skills Charts
+ * SVG radar and horizontal bar charts for SkillsManager, drawn without a chart library.
+ * Each chart is a <figure>: a visible caption, the SVG (aria-hidden) and a visually hidden
+ * table with the same values as its text alternative.
+ *
+ * Colours are read from the theme's custom properties (getChartPalette()) and written into
+ * the SVG, so SkillsManager redraws the charts on `themeChanged`.
+ */
+
+const RADAR_SIZE = 420;
+const RADAR_RADIUS = 120;
+const CHART_TICKS = [0, 25, 50, 75, 100];
+
+const BAR_ROW_HEIGHT = 28;
+const BAR_LABEL_WIDTH = 170;
+const BAR_TRACK_WIDTH = 300;
+const BAR_AXIS_HEIGHT = 24;
+
+// Current theme colours; the fallbacks are the light palette
+function getChartPalette(element = document.documentElement) {
+    const styles = getComputedStyle(element);
+    const read = (name, fallback) => styles.getPropertyValue(name).trim() || fallback;
+
+    return {
+        text: read('--color-text', '#1f2937'),
+        muted: read('--color-text-light', '#6b7280'),
+        grid: read('--color-border', '#e5e7eb'),
+        primary: read('--color-primary', '#2563eb'),
+        levels: {
+            expert: read('--color-level-expert', '#10b981'),
+            advanced: read('--color-level-advanced', '#3b82f6'),
+            intermediate: read('--color-level-intermediate', '#8b5cf6'),
+            beginner: read('--color-level-beginner', '#f59e0b')
+        }
+    };
+}
+
+// One decimal is plenty for a viewBox this size and keeps the markup short
+function formatPoint(x, y) {
+    return `${Math.round(x * 10) / 10},${Math.round(y * 10) / 10}`;
+}
+
+// Text alternative: one row per entry, plus a column for entry.group when groupHeading is set
+function createChartTable(entries, groupHeading) {
+    return html`
+        <table class="visually-hidden">
+            <thead>
+                <tr>
+                    <th scope="col">${translate('skills.chart.skill')}</th>
+                    ${groupHeading ? html`<th scope="col">${groupHeading}</th>` : ''}
+                    <th scope="col">${translate('skills.chart.level')}</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${entries.map(entry => html`
+                    <tr>
+                        <th scope="row">${entry.label}</th>
+                        ${groupHeading ? html`<td>${entry.group}</td>` : ''}
+                        <td>${entry.value}%</td>
+                    </tr>
+                `)}
+            </tbody>
+        </table>
+    `;
+}
+
+// entries: [{ label, value }] with values 0-100; needs at least three entries to make a shape
+function createRadarChart({ caption, entries, palette = getChartPalette() }) {
+    const center = RADAR_SIZE / 2;
+    const angleFor = index => (index / entries.length) * Math.PI * 2 - Math.PI / 2;
+    const pointAt = (index, value) => {
+        const radius = (value / 100) * RADAR_RADIUS;
+        return [center + Math.cos(angleFor(index)) * radius, center + Math.sin(angleFor(index)) * radius];
+    };
+
+    const rings = CHART_TICKS.slice(1).map(tick => html`
+        <polygon points="${entries.map((entry, index) => formatPoint(...pointAt(index, tick))).join(' ')}"
+                 fill="none" stroke="${palette.grid}" stroke-width="1"></polygon>
+        <text x="${center + 4}" y="${center - (tick / 100) * RADAR_RADIUS}" fill="${palette.muted}"
+              font-size="10" dominant-baseline="middle">${tick}</text>
+    `);
+
+    const axes = entries.map((entry, index) => {
+        const [x, y] = pointAt(index, 100);
+        const [labelX, labelY] = pointAt(index, 114);
+        const cos = Math.cos(angleFor(index));
+        const sin = Math.sin(angleFor(index));
+        const anchor = Math.abs(cos) < 0.3 ? 'middle' : (cos > 0 ? 'start' : 'end');
+        const baseline = sin < -0.3 ? 'auto' : (sin > 0.3 ? 'hanging' : 'middle');
+
+        return html`
+            <line x1="${center}" y1="${center}" x2="${x}" y2="${y}" stroke="${palette.grid}" stroke-width="1"></line>
+            <text x="${labelX}" y="${labelY}" fill="${palette.text}" font-size="13"
+                  text-anchor="${anchor}" dominant-baseline="${baseline}">${entry.label}</text>
+        `;
+    });
+
+    const shape = entries.map((entry, index) => formatPoint(...pointAt(index, entry.value))).join(' ');
+    const points = entries.map((entry, index) => {
+        const [x, y] = pointAt(index, entry.value);
+        return html`
+            <circle cx="${x}" cy="${y}" r="4" fill="${palette.primary}">
+                <title>${entry.label}: ${entry.value}%</title>
+            </circle>
+        `;
+    });
+
+    return html`
+        <figure class="skills-chart skills-chart--radar">
+            <figcaption class="skills-chart__caption">${caption}</figcaption>
+            <svg class="skills-chart__svg" viewBox="0 0 ${RADAR_SIZE} ${RADAR_SIZE}" aria-hidden="true" focusable="false">
+                ${rings}
+                ${axes}
+                <polygon points="${shape}" fill="${palette.primary}" fill-opacity="0.25"
+                         stroke="${palette.primary}" stroke-width="2"></polygon>
+                ${points}
+            </svg>
+            ${createChartTable(entries)}
+        </figure>
+    `;
+}
+
+// entries: [{ label, value, color, group }] drawn in the given order;
+// legend: [{ label, color }] shown under the chart
+function createBarChart({ caption, entries, groupHeading, legend = [], palette = getChartPalette() }) {
+    const rowsHeight = entries.length * BAR_ROW_HEIGHT;
+    const width = BAR_LABEL_WIDTH + BAR_TRACK_WIDTH + 50;
+    const xFor = value => BAR_LABEL_WIDTH + (value / 100) * BAR_TRACK_WIDTH;
+
+    const grid = CHART_TICKS.map(tick => html`
+        <line x1="${xFor(tick)}" y1="0" x2="${xFor(tick)}" y2="${rowsHeight}" stroke="${palette.grid}" stroke-width="1"></line>
+        <text x="${xFor(tick)}" y="${rowsHeight + 16}" fill="${palette.muted}" font-size="11" text-anchor="middle">${tick}%</text>
+    `);
+
+    const bars = entries.map((entry, index) => {
+        const y = index * BAR_ROW_HEIGHT;
+        const barWidth = xFor(entry.value) - BAR_LABEL_WIDTH;
+
+        return html`
+            <text x="${BAR_LABEL_WIDTH - 10}" y="${y + BAR_ROW_HEIGHT / 2}" fill="${palette.text}" font-size="13"
+                  text-anchor="end" dominant-baseline="middle">${entry.label}</text>
+            <rect x="${BAR_LABEL_WIDTH}" y="${y + 6}" width="${barWidth}" height="${BAR_ROW_HEIGHT - 12}" rx="3" fill="${entry.color || palette.primary}">
+                <title>${entry.group ? `${entry.label} (${entry.group})` : entry.label}: ${entry.value}%</title>
+            </rect>
+            <text x="${xFor(entry.value) + 6}" y="${y + BAR_ROW_HEIGHT / 2}" fill="${palette.muted}" font-size="12"
+                  dominant-baseline="middle">${entry.value}%</text>
+        `;
+    });
+
+    return html`
+        <figure class="skills-chart skills-chart--bars">
+            <figcaption class="skills-chart__caption">${caption}</figcaption>
+            <svg class="skills-chart__svg" viewBox="0 0 ${width} ${rowsHeight + BAR_AXIS_HEIGHT}" aria-hidden="true" focusable="false">
+                ${grid}
+                ${bars}
+            </svg>
+            ${legend.length ? html`
+                <ul class="skills-chart__legend" aria-hidden="true">
+                    ${legend.map(item => html`
+                        <li class="skills-chart__legend-item">
+                            <span class="skills-chart__swatch" style="background: ${item.color}"></span>${item.label}
+                        </li>
+                    `)}
+                </ul>
+            ` : ''}
+            ${createChartTable(entries, groupHeading)}
+        </figure>
+    `;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { getChartPalette, createRadarChart, createBarChart };
+}
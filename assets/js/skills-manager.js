@@ -3,66 +3,101 @@
  * Handles loading, displaying, and managing skills data
  */
 
+// Lowest level of each proficiency band, highest band first
+const PROFICIENCY_BAND_MIN = { expert: 90, advanced: 75, intermediate: 60, beginner: 0 };
+const PROFICIENCY_BANDS = Object.keys(PROFICIENCY_BAND_MIN);
+const SOFT_SKILLS_CATEGORY = 'softSkills';
+
+// Stats that .skills__summary[data-stats] can list (see index.html)
+const SKILL_STATS = ['total', 'average', 'years', 'categories', 'bands', 'top'];
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+// Draft saved by the skills editor; it replaces data/skills.json in this browser only.
+// Stored as { version, savedAt, skillsData }; drafts with another version are ignored.
+const SKILLS_DRAFT_KEY = 'portfolio-skills';
+const SKILLS_DRAFT_VERSION = 1;
+
 class SkillsManager {
     constructor() {
         this.skillsData = null;
+        this.dataSource = null; // 'published' or 'local' (a draft)
+        this.draftSavedAt = null;
         this.initialized = false;
+        this.tabs = null;
+        this.view = 'list';
     }
 
     async init() {
         try {
             await this.loadSkillsData();
             this.renderSkills();
-            this.initTabs();
             this.initSkillAnimations();
             this.calculateAndDisplayStats();
+            this.renderSourceNotice();
             this.initialized = true;
             
+            // Let other components (e.g. the admin editor) know the data is ready
+            appEvents.emit('skillsLoaded', { skillsData: this.skillsData, source: this.dataSource, savedAt: this.draftSavedAt });
+            
             console.log('Skills manager initialized successfully');
         } catch (error) {
             console.error('Failed to initialize skills manager:', error);
-            this.showFallbackSkills();
+            this.showLoadError();
         }
     }
 
+    // Published data/skills.json, replaced by this browser's draft when there is one.
+    // Throws when neither can be used; there is no made-up fallback list.
     async loadSkillsData() {
+        let publishedError = null;
+        this.skillsData = null;
+        this.dataSource = null;
+        this.draftSavedAt = null;
+
         try {
             const response = await fetch('data/skills.json');
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}`);
             }
-            this.skillsData = await response.json();
+            // Invalid entries are skipped and reported in the console
+            this.skillsData = await validateDataFile('skills', await response.json());
+            this.dataSource = 'published';
         } catch (error) {
-            console.warn('Using fallback skills data:', error);
-            this.skillsData = this.getFallbackSkillsData();
+            publishedError = error;
+        }
+
+        const draft = await this.readDraft();
+        if (draft) {
+            this.skillsData = draft.skillsData;
+            this.dataSource = 'local';
+            this.draftSavedAt = draft.savedAt;
         }
+
+        if (!this.skillsData) throw publishedError;
     }
 
-    getFallbackSkillsData() {
-        return {
-            skills: {
-                frontend: [
-                    { name: "HTML5", level: 95, icon: "🔧", years: 5 },
-                    { name: "CSS3", level: 90, icon: "🎨", years: 5 },
-                    { name: "JavaScript", level: 92, icon: "⚡", years: 4 }
-                ],
-                backend: [
-                    { name: "Node.js", level: 88, icon: "🟢", years: 3 },
-                    { name: "Python", level: 85, icon: "🐍", years: 4 },
-                    { name: "MongoDB", level: 80, icon: "🍃", years: 3 }
-                ],
-                tools: [
-                    { name: "Git", level: 90, icon: "📝", years: 4 },
-                    { name: "Docker", level: 75, icon: "🐳", years: 2 },
-                    { name: "AWS", level: 70, icon: "☁️", years: 2 }
-                ],
-                softSkills: [
-                    { name: "Problem Solving", level: 95, icon: "🧩" },
-                    { name: "Team Collaboration", level: 90, icon: "👥" },
-                    { name: "Communication", level: 88, icon: "💬" }
-                ]
-            }
-        };
+    // The draft saved in this browser ({ skillsData, savedAt }), or null if there is none
+    // or it cannot be used
+    async readDraft() {
+        let draft;
+        try {
+            draft = JSON.parse(localStorage.getItem(SKILLS_DRAFT_KEY));
+        } catch (error) {
+            return null;
+        }
+        if (!draft) return null;
+
+        if (draft.version !== SKILLS_DRAFT_VERSION || !draft.skillsData) {
+            console.warn('Ignoring the local skills draft: it was saved in an older format');
+            return null;
+        }
+
+        try {
+            return { skillsData: await validateDataFile('skills', draft.skillsData), savedAt: draft.savedAt };
+        } catch (error) {
+            console.warn('Ignoring the local skills draft:', error);
+            return null;
+        }
     }
 
     renderSkills() {
@@ -74,12 +109,14 @@ class SkillsManager {
             const skills = this.skillsData.skills[category];
             if (!skills) return;
 
-            if (category === 'softSkills') {
+            if (category === SOFT_SKILLS_CATEGORY) {
                 this.renderSoftSkills(skills);
             } else {
                 this.renderTechnicalSkills(category, skills);
             }
         });
+
+        this.renderCharts();
     }
 
     renderTechnicalSkills(category, skills) {
@@ -101,24 +138,34 @@ class SkillsManager {
     createSkillElement(skill) {
         const proficiencyClass = this.getProficiencyClass(skill.level);
         
-        return `
-            <div class="skill ${proficiencyClass}" data-skill-level="${skill.level}">
+        // Linked to the projects grid when projects list this skill in their tech (main.js)
+        const techKey = skill.name.toLowerCase();
+        const projectCount = typeof getProjectsUsingTech === 'function' ? getProjectsUsingTech(skill.name).length : 0;
+        const projectsLink = projectCount ? html`
+            <a href="?tech=${encodeURIComponent(techKey)}#projects" class="skill__projects">
+                ${translate(projectCount === 1 ? 'skills.usedInProject' : 'skills.usedInProjects', { count: projectCount })}
+            </a>
+        ` : '';
+        
+        return html`
+            <div class="skill ${proficiencyClass}${projectCount ? ' skill--linked' : ''}" data-skill-level="${skill.level}"${projectCount ? html` data-tech="${techKey}"` : ''}>
                 <div class="skill__header">
                     <span class="skill__icon">${skill.icon}</span>
                     <div class="skill__info">
                         <div class="skill__name-wrapper">
                             <span class="skill__name">${skill.name}</span>
-                            ${skill.years ? `<span class="skill__years">${skill.years} ${skill.years === 1 ? 'year' : 'years'}</span>` : ''}
+                            ${skill.years ? html`<span class="skill__years">${translate(skill.years === 1 ? 'skills.year' : 'skills.years', { count: skill.years })}</span>` : ''}
                         </div>
                         <span class="skill__percentage">${skill.level}%</span>
                     </div>
                 </div>
-                ${skill.description ? `<p class="skill__description">${skill.description}</p>` : ''}
+                ${skill.description ? html`<p class="skill__description">${localize(skill.description)}</p>` : ''}
                 <div class="skill__bar">
                     <div class="skill__progress" data-progress="${skill.level}" style="width: 0%"></div>
                 </div>
                 <div class="skill__level-indicator">
                     <span class="skill__level-label">${this.getProficiencyLabel(skill.level)}</span>
+                    ${projectsLink}
                 </div>
             </div>
         `;
@@ -127,7 +174,7 @@ class SkillsManager {
     createSoftSkillBadge(skill) {
         const proficiencyClass = this.getProficiencyClass(skill.level);
         
-        return `
+        return html`
             <div class="soft-skill-badge ${proficiencyClass}" data-skill-level="${skill.level}">
                 <span class="soft-skill-badge__icon">${skill.icon}</span>
                 <div class="soft-skill-badge__content">
@@ -141,71 +188,135 @@ class SkillsManager {
         `;
     }
 
+    getProficiencyBand(level) {
+        return PROFICIENCY_BANDS.find(band => level >= PROFICIENCY_BAND_MIN[band]) || 'beginner';
+    }
+
     getProficiencyClass(level) {
-        if (level >= 90) return 'skill--expert';
-        if (level >= 75) return 'skill--advanced';
-        if (level >= 60) return 'skill--intermediate';
-        return 'skill--beginner';
+        return `skill--${this.getProficiencyBand(level)}`;
     }
 
     getProficiencyLabel(level) {
-        if (level >= 90) return 'Expert';
-        if (level >= 75) return 'Advanced';
-        if (level >= 60) return 'Intermediate';
-        return 'Beginner';
-    }
-
-    initTabs() {
-        const tabs = document.querySelectorAll('.skills__tab');
-        const panels = document.querySelectorAll('.skills__panel');
-
-        tabs.forEach(tab => {
-            tab.addEventListener('click', () => {
-                const targetTab = tab.dataset.tab;
-                
-                // Update tabs
-                tabs.forEach(t => {
-                    t.classList.remove('active');
-                    t.setAttribute('aria-selected', 'false');
-                });
-                tab.classList.add('active');
-                tab.setAttribute('aria-selected', 'true');
-                
-                // Update panels
-                panels.forEach(panel => {
-                    panel.classList.remove('active');
-                    panel.hidden = true;
-                });
-                
-                const targetPanel = document.getElementById(`${targetTab}-panel`);
-                if (targetPanel) {
-                    targetPanel.classList.add('active');
-                    targetPanel.hidden = false;
-                }
-                
-                // Trigger skill animations for the new panel
-                setTimeout(() => this.initSkillAnimations(), 100);
-            });
+        return translate(`skills.level.${this.getProficiencyBand(level)}`);
+    }
+
+    // The skill with this name in any category (case-insensitive), e.g. for a project's tech tag
+    findSkill(name) {
+        if (!this.skillsData) return null;
+        const key = String(name).toLowerCase();
+
+        for (const skills of Object.values(this.skillsData.skills)) {
+            const skill = skills.find(item => item.name.toLowerCase() === key);
+            if (skill) return skill;
+        }
+        return null;
+    }
+
+    // Tab label for the known categories, the raw name for ones added in the editor
+    getCategoryLabel(category) {
+        const key = `skills.tab.${category}`;
+        const label = translate(key);
+        return label === key ? category : label;
+    }
+
+    // A radar chart per category panel ([data-chart-category]) and one bar chart of every
+    // skill, highest level first. Drawn even in the list view so switching is instant.
+    renderCharts() {
+        if (!this.skillsData || typeof createRadarChart !== 'function') return;
+
+        const palette = getChartPalette();
+
+        document.querySelectorAll('[data-chart-category]').forEach(container => {
+            const category = container.dataset.chartCategory;
+            const entries = (this.skillsData.skills[category] || []).map(skill => ({ label: skill.name, value: skill.level }));
+            const caption = translate('skills.chart.radarCaption', { category: this.getCategoryLabel(category) });
+
+            // A radar needs at least three axes to enclose anything
+            container.innerHTML = entries.length >= 3
+                ? createRadarChart({ caption, entries, palette })
+                : createBarChart({ caption, entries, palette });
         });
 
-        // Keyboard navigation for tabs
-        tabs.forEach((tab, index) => {
-            tab.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    tab.click();
-                } else if (e.key === 'ArrowRight') {
-                    e.preventDefault();
-                    const nextTab = tabs[(index + 1) % tabs.length];
-                    nextTab.focus();
-                    nextTab.click();
-                } else if (e.key === 'ArrowLeft') {
-                    e.preventDefault();
-                    const prevTab = tabs[(index - 1 + tabs.length) % tabs.length];
-                    prevTab.focus();
-                    prevTab.click();
-                }
-            });
+        const barChart = document.getElementById('skills-bar-chart');
+        if (!barChart) return;
+
+        const entries = Object.entries(this.skillsData.skills)
+            .flatMap(([category, skills]) => skills.map(skill => ({
+                label: skill.name,
+                value: skill.level,
+                group: this.getCategoryLabel(category),
+                color: palette.levels[this.getProficiencyBand(skill.level)]
+            })))
+            .sort((a, b) => b.value - a.value || a.label.localeCompare(b.label));
+
+        barChart.innerHTML = createBarChart({
+            caption: translate('skills.chart.barsCaption'),
+            entries,
+            groupHeading: translate('skills.chart.category'),
+            legend: PROFICIENCY_BANDS.map(band => ({
+                label: translate(`skills.level.${band}`),
+                color: palette.levels[band]
+            })),
+            palette
+        });
+    }
+
+    // Tabs, view buttons and skill links; bound by the "skills" module, separately from init()
+    // (which runs again on "Retry"), and removed when `signal` aborts
+    initControls({ signal } = {}) {
+        this.initTabs({ signal });
+        this.initViewSwitcher({ signal });
+        this.initProjectLinks({ signal });
+    }
+
+    initViewSwitcher({ signal } = {}) {
+        document.querySelectorAll('[data-skills-view]').forEach(button => {
+            button.addEventListener('click', () => this.setView(button.dataset.skillsView), { signal });
+        });
+    }
+
+    // A linked card (or its "used in N projects" link) filters the projects grid to that skill
+    initProjectLinks({ signal } = {}) {
+        const panels = document.querySelector('.skills__panels');
+        if (!panels) return;
+
+        panels.addEventListener('click', (e) => {
+            const card = e.target.closest('.skill[data-tech]');
+            if (!card || typeof showProjectsUsingTech !== 'function') return;
+
+            e.preventDefault();
+            showProjectsUsingTech(card.dataset.tech);
+        }, { signal });
+    }
+
+    // "list" (cards in tabs), "radar" (a chart per tab) or "bars" (all skills in one chart)
+    setView(view) {
+        const section = document.getElementById('skills');
+        if (!section) return;
+
+        this.view = view;
+        section.dataset.view = view;
+
+        document.querySelectorAll('[data-skills-view]').forEach(button => {
+            const active = button.dataset.skillsView === view;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', String(active));
+        });
+
+        // Replay the card entrance, as switching tabs does
+        if (view === 'list') this.initSkillAnimations();
+    }
+
+    initTabs({ signal } = {}) {
+        const tablist = document.querySelector('.skills__tabs');
+        if (!tablist) return;
+
+        // ?skills=<category> opens that tab
+        this.tabs = createTabs(tablist, {
+            urlParam: 'skills',
+            // Trigger skill animations for the new panel
+            onSelect: () => setTimeout(() => this.initSkillAnimations(), 100),
+            signal
         });
     }
 
@@ -248,47 +359,133 @@ class SkillsManager {
         });
     }
 
-    calculateAndDisplayStats() {
+    // Statistics for the summary. Soft skills are left out of the totals, averages and bands;
+    // they only appear as their own row in the per-category averages.
+    getSkillStats({ topCount = 3 } = {}) {
+        const categories = Object.entries(this.skillsData.skills).filter(([, skills]) => skills.length);
+        const technical = categories
+            .filter(([category]) => category !== SOFT_SKILLS_CATEGORY)
+            .flatMap(([, skills]) => skills);
+        const average = skills => (skills.length
+            ? Math.round(skills.reduce((sum, skill) => sum + skill.level, 0) / skills.length)
+            : 0);
+
+        const bands = Object.fromEntries(PROFICIENCY_BANDS.map(band => [band, 0]));
+        technical.forEach(skill => {
+            bands[this.getProficiencyBand(skill.level)]++;
+        });
+
+        return {
+            total: technical.length,
+            average: average(technical),
+            years: this.getYearsOfExperience(),
+            categories: categories.map(([category, skills]) => ({ category, average: average(skills) })),
+            bands,
+            top: [...technical]
+                .sort((a, b) => b.level - a.level || a.name.localeCompare(b.name))
+                .slice(0, topCount)
+        };
+    }
+
+    // Whole years since the earliest work entry in experience.json (main.js). Without one,
+    // the longest time on a single skill: years on different skills overlap, so never add them up.
+    getYearsOfExperience(now = Date.now()) {
+        const entries = typeof getExperienceEntries === 'function' ? getExperienceEntries() : [];
+        const starts = entries
+            .filter(entry => entry.type !== 'education' && entry.start)
+            .map(entry => Date.parse(entry.start))
+            .filter(Number.isFinite);
+
+        if (starts.length) {
+            return Math.max(0, Math.floor((now - Math.min(...starts)) / MS_PER_YEAR));
+        }
+
+        return Math.max(0, ...Object.values(this.skillsData.skills).flat().map(skill => skill.years || 0));
+    }
+
+    // Fills every .skills__summary[data-stats] with the stats it lists, in that order
+    calculateAndDisplayStats({ animate = true } = {}) {
         if (!this.skillsData) return;
 
-        let totalSkills = 0;
-        let totalProficiency = 0;
-        let totalYears = 0;
-        let countedSkills = 0;
-
-        // Iterate through all categories
-        Object.values(this.skillsData.skills).forEach(category => {
-            category.forEach(skill => {
-                totalSkills++;
-                totalProficiency += skill.level;
-                if (skill.years) {
-                    totalYears += skill.years;
-                }
-                countedSkills++;
-            });
+        document.querySelectorAll('.skills__summary[data-stats]').forEach(summary => {
+            const names = summary.dataset.stats.split(/\s+/).filter(name => SKILL_STATS.includes(name));
+            const stats = this.getSkillStats({ topCount: Number(summary.dataset.topSkills) || 3 });
+
+            summary.innerHTML = html`${names.map(name => this.createStat(name, stats))}`;
+            if (animate) this.animateCounters(summary);
         });
+    }
 
-        // Update DOM elements
-        const totalSkillsElement = document.getElementById('total-skills');
-        const avgProficiencyElement = document.getElementById('avg-proficiency');
-        const totalYearsElement = document.getElementById('total-years');
+    createStat(name, stats) {
+        // Rendered at the final value; animateCounters() counts up to it
+        const counter = (value, className, suffix = '') => html`
+            <span class="${className}" data-count="${value}" data-suffix="${suffix}">${value}${suffix}</span>
+        `;
 
-        if (totalSkillsElement) {
-            totalSkillsElement.textContent = totalSkills;
-            // Animate counting
-            this.animateValue(totalSkillsElement, 0, totalSkills, 1000);
+        switch (name) {
+            case 'total':
+            case 'average':
+            case 'years': {
+                const { labelKey, suffix } = {
+                    total: { labelKey: 'skills.totalSkills', suffix: '' },
+                    average: { labelKey: 'skills.avgProficiency', suffix: '%' },
+                    years: { labelKey: 'skills.yearsExperience', suffix: '' }
+                }[name];
+
+                return html`
+                    <div class="skills__stat">
+                        ${counter(stats[name], 'skills__stat-number', suffix)}
+                        <span class="skills__stat-label">${translate(labelKey)}</span>
+                    </div>
+                `;
+            }
+            case 'categories':
+                return this.createStatList(translate('skills.avgByCategory'), stats.categories.map(({ category, average }) => ({
+                    term: this.getCategoryLabel(category),
+                    value: counter(average, 'skills__stat-value', '%')
+                })));
+            case 'bands':
+                return this.createStatList(translate('skills.byLevel'), PROFICIENCY_BANDS.map((band, index) => ({
+                    term: translate(`skills.level.${band}`),
+                    hint: translate('skills.levelRange', {
+                        min: PROFICIENCY_BAND_MIN[band],
+                        max: index ? PROFICIENCY_BAND_MIN[PROFICIENCY_BANDS[index - 1]] - 1 : 100
+                    }),
+                    value: counter(stats.bands[band], 'skills__stat-value')
+                })));
+            case 'top':
+                return this.createStatList(translate('skills.topSkills'), stats.top.map(skill => ({
+                    term: skill.name,
+                    value: html`<span class="skills__stat-value">${skill.level}%</span>`
+                })));
+            default:
+                return '';
         }
+    }
 
-        if (avgProficiencyElement && countedSkills > 0) {
-            const average = Math.round(totalProficiency / countedSkills);
-            avgProficiencyElement.textContent = `${average}%`;
-            this.animateValue(avgProficiencyElement, 0, average, 1000, '%');
-        }
+    // A stat made of labelled rows: [{ term, hint, value }]
+    createStatList(label, rows) {
+        return html`
+            <div class="skills__stat skills__stat--list">
+                <span class="skills__stat-label">${label}</span>
+                <dl class="skills__stat-list">
+                    ${rows.map(row => html`
+                        <div class="skills__stat-row">
+                            <dt>${row.term}${row.hint ? html` <span class="skills__stat-hint">${row.hint}</span>` : ''}</dt>
+                            <dd>${row.value}</dd>
+                        </div>
+                    `)}
+                </dl>
+            </div>
+        `;
+    }
 
-        if (totalYearsElement) {
-            totalYearsElement.textContent = totalYears;
-            this.animateValue(totalYearsElement, 0, totalYears, 1000);
-        }
+    animateCounters(container) {
+        if (window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches) return;
+
+        container.querySelectorAll('[data-count]').forEach(element => {
+            this.animateValue(element, 0, Number(element.dataset.count), 1000, element.dataset.suffix);
+        });
     }
 
     animateValue(element, start, end, duration, suffix = '') {
@@ -306,78 +503,109 @@ class SkillsManager {
         window.requestAnimationFrame(step);
     }
 
-    showFallbackSkills() {
-        // Show a warning and load basic skills
-        const skillsSection = document.querySelector('.skills');
-        if (skillsSection) {
-            const warning = document.createElement('div');
-            warning.className = 'skills__warning';
-            warning.innerHTML = `
-                <p>⚠️ Skills data could not be loaded. Showing fallback skills.</p>
-                <button onclick="skillsManager.init()" class="btn btn--small">Retry</button>
-            `;
-            skillsSection.querySelector('.container').prepend(warning);
-        }
+    // Honest error state: nothing is shown but the message and a retry
+    showLoadError() {
+        document.querySelectorAll('.skills__list, .skills__badges, .skills__chart, .skills__ranking, .skills__summary')
+            .forEach(container => container.replaceChildren());
+        this.renderSourceNotice();
 
-        // Load fallback data
-        this.skillsData = this.getFallbackSkillsData();
-        this.renderSkills();
-        this.initSkillAnimations();
+        const skillsSection = document.querySelector('.skills');
+        if (!skillsSection) return;
+
+        const warning = document.createElement('div');
+        warning.className = 'skills__warning';
+        warning.setAttribute('role', 'alert');
+        warning.innerHTML = html`
+            <p data-i18n="skills.loadError">${translate('skills.loadError')}</p>
+            <button type="button" class="btn btn--small" data-i18n="common.retry">${translate('common.retry')}</button>
+        `;
+        warning.querySelector('button').addEventListener('click', () => this.init());
+        skillsSection.querySelector('.container').prepend(warning);
     }
 
-    // API to update skill levels dynamically (for admin interface)
-    updateSkillLevel(category, skillName, newLevel) {
-        if (!this.skillsData || !this.skillsData.skills[category]) {
-            console.error('Category not found:', category);
-            return false;
-        }
+    // "You are viewing local draft data" with a reset button, only while a draft is shown
+    renderSourceNotice() {
+        document.querySelectorAll('.skills__warning, .skills__draft-notice').forEach(element => element.remove());
 
-        const skill = this.skillsData.skills[category].find(s => s.name === skillName);
-        if (!skill) {
-            console.error('Skill not found:', skillName);
-            return false;
-        }
+        const skillsSection = document.querySelector('.skills');
+        if (!skillsSection || this.dataSource !== 'local') return;
+
+        const savedAt = new Date(this.draftSavedAt);
+        const notice = document.createElement('div');
+        notice.className = 'skills__draft-notice';
+        notice.setAttribute('role', 'status');
+        notice.innerHTML = html`
+            <p>${Number.isNaN(savedAt.getTime())
+                ? translate('skills.draftNotice')
+                : translate('skills.draftNoticeSaved', {
+                    date: new Intl.DateTimeFormat(getLocale(), { dateStyle: 'medium', timeStyle: 'short' }).format(savedAt)
+                })}</p>
+            <button type="button" class="btn btn--small btn--secondary">${translate('skills.draftReset')}</button>
+        `;
+        notice.querySelector('button').addEventListener('click', () => this.resetToPublished());
+        skillsSection.querySelector('.container').prepend(notice);
+    }
 
-        skill.level = Math.min(100, Math.max(0, newLevel));
-        
-        // Update in localStorage (for demo purposes)
-        this.saveToLocalStorage();
-        
-        // Re-render and recalculate
+    // Re-render the skill cards and stats (new language, or projects now linked to them)
+    refresh() {
+        if (!this.skillsData) return;
         this.renderSkills();
-        this.calculateAndDisplayStats();
-        
-        return true;
+        this.initSkillAnimations();
+        this.calculateAndDisplayStats({ animate: false });
+        this.renderSourceNotice();
     }
 
+    // Save the current data as this browser's draft; from now on it is shown instead of
+    // the published file (here and on the site) until resetToPublished()
     saveToLocalStorage() {
+        const savedAt = new Date().toISOString();
+
         try {
-            localStorage.setItem('portfolio-skills', JSON.stringify(this.skillsData));
+            localStorage.setItem(SKILLS_DRAFT_KEY, JSON.stringify({
+                version: SKILLS_DRAFT_VERSION,
+                savedAt,
+                skillsData: this.skillsData
+            }));
         } catch (error) {
             console.warn('Could not save skills to localStorage:', error);
+            return false;
         }
+
+        this.dataSource = 'local';
+        this.draftSavedAt = savedAt;
+        this.renderSourceNotice();
+        return true;
     }
 
-    loadFromLocalStorage() {
+    // Drop the draft and load data/skills.json again
+    async resetToPublished() {
         try {
-            const saved = localStorage.getItem('portfolio-skills');
-            if (saved) {
-                this.skillsData = JSON.parse(saved);
-                return true;
-            }
+            localStorage.removeItem(SKILLS_DRAFT_KEY);
         } catch (error) {
-            console.warn('Could not load skills from localStorage:', error);
+            // Nothing was stored
         }
-        return false;
+        await this.init();
     }
 }
 
 // Create global instance
 const skillsManager = new SkillsManager();
 
-// Initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    skillsManager.init();
+registerModule('skills', {
+    dependsOn: ['i18n'],
+    init({ signal }) {
+        appEvents.on('localeChanged', () => skillsManager.refresh(), { signal });
+        appEvents.on('themeChanged', () => skillsManager.renderCharts(), { signal });
+        appEvents.on('experience:loaded', () => skillsManager.calculateAndDisplayStats(), { signal });
+
+        // A draft saved or reset in another tab (e.g. the skills editor)
+        window.addEventListener('storage', (e) => {
+            if (e.key === SKILLS_DRAFT_KEY) skillsManager.init();
+        }, { signal });
+
+        skillsManager.initControls({ signal });
+        return skillsManager.init();
+    }
 });
 
 // Export for use in other modules
@@ -0,0 +1,121 @@
+/**
+ * Tabs
+ * WAI-ARIA tabs for any [role="tablist"] whose [role="tab"] buttons point at their panels
+ * with aria-controls:
+ *
+ *   const tabs = createTabs(tablist, {
+ *       activation: 'manual',        // or 'automatic' (default): arrow keys also select
+ *       urlParam: 'skills',          // keep the selected tab in ?skills=<value>
+ *       onSelect(value, tab) { ... }
+ *   });
+ *   tabs.select('backend');
+ *
+ * A tab's value is its data-tab (or its id). The tab marked aria-selected="true" in the markup
+ * is the default and is left out of the URL. `activation` can also be set with data-activation
+ * on the tablist.
+ */
+
+function createTabs(tablist, { activation = tablist.dataset.activation || 'automatic', urlParam = null, onSelect = () => {}, signal } = {}) {
+    const tabs = [...tablist.querySelectorAll('[role="tab"]')];
+    const getValue = tab => tab.dataset.tab || tab.id;
+    const getPanel = tab => document.getElementById(tab.getAttribute('aria-controls'));
+
+    // Tabs and panels name each other, so both need ids
+    tabs.forEach(tab => {
+        const panel = getPanel(tab);
+        if (!tab.id) tab.id = `${tab.getAttribute('aria-controls')}-tab`;
+        if (panel) panel.setAttribute('aria-labelledby', tab.id);
+    });
+
+    const defaultTab = tabs.find(tab => tab.getAttribute('aria-selected') === 'true') || tabs[0];
+    let selectedTab = null;
+
+    function findTab(value) {
+        return tabs.find(tab => getValue(tab) === value) || null;
+    }
+
+    // Only the selected tab is in the Tab order (roving tabindex)
+    function select(value, { focus = false, updateUrl = true, notify = true } = {}) {
+        const tab = findTab(value);
+        if (!tab) return false;
+
+        tabs.forEach(item => {
+            const isSelected = item === tab;
+            item.setAttribute('aria-selected', String(isSelected));
+            item.tabIndex = isSelected ? 0 : -1;
+            item.classList.toggle('active', isSelected);
+
+            const panel = getPanel(item);
+            if (panel) {
+                panel.hidden = !isSelected;
+                panel.classList.toggle('active', isSelected);
+                // Lets keyboard users reach panels that have nothing focusable in them
+                panel.tabIndex = 0;
+            }
+        });
+
+        if (focus) tab.focus();
+        if (updateUrl) writeSelectedTabToUrl(tab);
+
+        const changed = tab !== selectedTab;
+        selectedTab = tab;
+        if (changed && notify) onSelect(getValue(tab), tab);
+        return true;
+    }
+
+    function writeSelectedTabToUrl(tab) {
+        if (!urlParam) return;
+
+        const url = new URL(window.location.href);
+        if (tab === defaultTab) url.searchParams.delete(urlParam);
+        else url.searchParams.set(urlParam, getValue(tab));
+
+        history.replaceState(history.state, '', `${url.pathname}${url.search}${url.hash}`);
+    }
+
+    // Arrow keys wrap around; Home and End jump to the first and last tab
+    function handleKeydown(e) {
+        const index = tabs.indexOf(e.target.closest('[role="tab"]'));
+        if (index === -1) return;
+
+        const targets = {
+            ArrowRight: (index + 1) % tabs.length,
+            ArrowLeft: (index - 1 + tabs.length) % tabs.length,
+            Home: 0,
+            End: tabs.length - 1
+        };
+        if (!(e.key in targets)) return;
+
+        e.preventDefault();
+        const target = tabs[targets[e.key]];
+
+        if (activation === 'automatic') {
+            select(getValue(target), { focus: true });
+        } else {
+            // Manual: focus only; Enter or Space (a click on the button) selects
+            target.focus();
+        }
+    }
+
+    tablist.addEventListener('keydown', handleKeydown, { signal });
+    tablist.addEventListener('click', (e) => {
+        const tab = e.target.closest('[role="tab"]');
+        if (tab && tabs.includes(tab)) select(getValue(tab));
+    }, { signal });
+
+    // Start on the tab named in the URL, if there is one (onSelect is for later changes)
+    const urlValue = urlParam ? new URLSearchParams(window.location.search).get(urlParam) : null;
+    if (!select(urlValue, { updateUrl: false, notify: false }) && defaultTab) {
+        select(getValue(defaultTab), { updateUrl: false, notify: false });
+    }
+
+    return {
+        select,
+        getSelected: () => (selectedTab ? getValue(selectedTab) : null)
+    };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createTabs };
+}
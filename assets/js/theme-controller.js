@@ -0,0 +1,150 @@
+/**
+ * Theme Controller
+ * Light, dark and "system" modes plus extra palettes such as high contrast. Every palette is a
+ * [data-theme="<name>"] block of custom properties in variables.css and an entry in
+ * themePalettes (or registerThemePalette()).
+ *
+ * Loaded without defer in <head>, so the saved theme is applied before the first paint.
+ * The picker in the nav (select[data-theme-select]) is set up by the "theme" module; pages
+ * without the app bootstrap (offline.html) only get the saved theme.
+ * `themeChanged` carries the resolved palette: { theme, preference, colorScheme }.
+ */
+
+const THEME_STORAGE_KEY = 'portfolio-theme';
+const SYSTEM_THEME = 'system';
+
+// colorScheme tells native controls (and anything drawing its own colours) which base to use
+const themePalettes = {
+    light: { label: 'Light', labelKey: 'theme.light', icon: '☀️', colorScheme: 'light' },
+    dark: { label: 'Dark', labelKey: 'theme.dark', icon: '🌙', colorScheme: 'dark' },
+    'high-contrast': { label: 'High contrast', labelKey: 'theme.highContrast', icon: '◐', colorScheme: 'light' }
+};
+
+const darkSchemeQuery = typeof window.matchMedia === 'function' ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+let themePreference = readThemePreference();
+
+function registerThemePalette(name, palette) {
+    themePalettes[name] = { label: name, icon: '🎨', colorScheme: 'light', ...palette };
+    renderThemePicker();
+    applyTheme();
+}
+
+// The saved choice; "system" when nothing (or nothing readable) is saved
+function readThemePreference() {
+    try {
+        return localStorage.getItem(THEME_STORAGE_KEY) || SYSTEM_THEME;
+    } catch (error) {
+        return SYSTEM_THEME;
+    }
+}
+
+function getThemePreference() {
+    return themePreference;
+}
+
+// Palette actually shown: the chosen one, or light/dark from the OS for "system"
+// (and for a saved palette that no longer exists)
+function resolveTheme(preference = themePreference) {
+    if (preference !== SYSTEM_THEME && preference in themePalettes) return preference;
+    return darkSchemeQuery && darkSchemeQuery.matches ? 'dark' : 'light';
+}
+
+function applyTheme({ notify = true } = {}) {
+    const root = document.documentElement;
+    const theme = resolveTheme();
+    const changed = root.dataset.theme !== theme || root.dataset.themePreference !== themePreference;
+
+    root.dataset.theme = theme;
+    root.dataset.themePreference = themePreference;
+    root.style.colorScheme = themePalettes[theme].colorScheme;
+    updateThemePicker();
+
+    // Plain document event: offline.html loads this file without the app bootstrap
+    if (changed && notify) {
+        document.dispatchEvent(new CustomEvent('themeChanged', {
+            detail: { theme, preference: themePreference, colorScheme: themePalettes[theme].colorScheme }
+        }));
+    }
+}
+
+function setThemePreference(preference) {
+    themePreference = preference === SYSTEM_THEME || preference in themePalettes ? preference : SYSTEM_THEME;
+
+    try {
+        if (themePreference === SYSTEM_THEME) {
+            localStorage.removeItem(THEME_STORAGE_KEY);
+        } else {
+            localStorage.setItem(THEME_STORAGE_KEY, themePreference);
+        }
+    } catch (error) {
+        // The choice just is not remembered
+    }
+
+    applyTheme();
+}
+
+// One option for "system" and one per palette; labels are translated by i18n.js
+function renderThemePicker() {
+    const options = [
+        { value: SYSTEM_THEME, label: 'System', labelKey: 'theme.system' },
+        ...Object.entries(themePalettes).map(([value, palette]) => ({ value, ...palette }))
+    ];
+
+    document.querySelectorAll('[data-theme-select]').forEach(select => {
+        select.replaceChildren(...options.map(option => {
+            const element = new Option(option.label, option.value);
+            if (option.labelKey) element.dataset.i18n = option.labelKey;
+            return element;
+        }));
+        if (typeof applyTranslations === 'function') applyTranslations(select);
+    });
+
+    updateThemePicker();
+}
+
+function updateThemePicker() {
+    const palette = themePalettes[themePreference];
+    const icon = themePreference === SYSTEM_THEME || !palette ? '🖥️' : palette.icon;
+
+    document.querySelectorAll('[data-theme-select]').forEach(select => {
+        select.value = themePreference in themePalettes ? themePreference : SYSTEM_THEME;
+    });
+    document.querySelectorAll('[data-theme-icon]').forEach(element => {
+        element.textContent = icon;
+    });
+}
+
+function initThemePicker({ signal } = {}) {
+    renderThemePicker();
+
+    document.querySelectorAll('[data-theme-select]').forEach(select => {
+        select.addEventListener('change', () => {
+            setThemePreference(select.value);
+        }, { signal });
+    });
+}
+
+// Apply right away (this script runs in <head>); nobody is listening yet
+applyTheme({ notify: false });
+
+// Follow the OS while in "system" mode
+if (darkSchemeQuery) {
+    darkSchemeQuery.addEventListener('change', () => {
+        if (resolveTheme() !== document.documentElement.dataset.theme) applyTheme();
+    });
+}
+
+// Keep other open tabs in step
+window.addEventListener('storage', (e) => {
+    if (e.key !== THEME_STORAGE_KEY) return;
+    themePreference = readThemePreference();
+    applyTheme();
+});
+
+if (typeof registerModule === 'function') {
+    registerModule('theme', {
+        init({ signal }) {
+            initThemePicker({ signal });
+        }
+    });
+}
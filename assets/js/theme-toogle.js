@@ -1,57 +0,0 @@
-/**
- * Theme Toggle functionality
- * Handles dark/light mode switching with localStorage persistence
- */
-
-document.addEventListener('DOMContentLoaded', () => {
-    initThemeToggle();
-});
-
-function initThemeToggle() {
-    const themeToggle = document.querySelector('.theme-toggle');
-    const themeIcon = document.querySelector('[data-theme-icon]');
-    
-    if (!themeToggle || !themeIcon) return;
-    
-    // Set initial theme from localStorage or system preference
-    const prefersDarkScheme = window.matchMedia('(prefers-color-scheme: dark)');
-    const savedTheme = localStorage.getItem('portfolio-theme');
-    
-    let currentTheme = savedTheme || (prefersDarkScheme.matches ? 'dark' : 'light');
-    document.documentElement.setAttribute('data-theme', currentTheme);
-    themeIcon.textContent = currentTheme === 'dark' ? '☀️' : '🌙';
-    
-    // Toggle theme on button click
-    themeToggle.addEventListener('click', () => {
-        currentTheme = currentTheme === 'light' ? 'dark' : 'light';
-        
-        // Update theme
-        document.documentElement.setAttribute('data-theme', currentTheme);
-        themeIcon.textContent = currentTheme === 'dark' ? '☀️' : '🌙';
-        
-        // Save to localStorage
-        localStorage.setItem('portfolio-theme', currentTheme);
-        
-        // Dispatch custom event for other components
-        document.dispatchEvent(new CustomEvent('themeChanged', {
-            detail: { theme: currentTheme }
-        }));
-    });
-    
-    // Listen for system theme changes
-    prefersDarkScheme.addEventListener('change', (e) => {
-        if (!localStorage.getItem('portfolio-theme')) {
-            const newTheme = e.matches ? 'dark' : 'light';
-            document.documentElement.setAttribute('data-theme', newTheme);
-            themeIcon.textContent = newTheme === 'dark' ? '☀️' : '🌙';
-        }
-    });
-    
-    // Add keyboard support
-    themeToggle.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' || e.key === ' ') {
-            e.preventDefault();
-            themeToggle.click();
-        }
-    });
-}
\ No newline at end of file
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for a form backend, for trying the contact form's JSON transport.
+ *
+ * Usage: node scripts/mock-contact-endpoint.js [port]   (default port: 8787)
+ *
+ * Point data-endpoint on #contact-form at one of these paths:
+ *   /ok             200 { ok: true }
+ *   /field-errors   422 with Formspree-style field errors for email and message
+ *   /rate-limit     429
+ *   /error          500
+ *   /slow           answers after 15 seconds (longer than the default 10 second timeout)
+ *   /text           200 with a plain text body (like Netlify's thank-you page)
+ */
+
+const http = require('http');
+
+const PORT = Number(process.argv[2]) || 8787;
+const SLOW_DELAY = 15000;
+
+const responses = {
+    '/ok': { status: 200, body: { ok: true } },
+    '/field-errors': {
+        status: 422,
+        body: {
+            error: 'Validation errors',
+            errors: [
+                { field: 'email', code: 'TYPE_EMAIL', message: 'should be an email' },
+                { field: 'message', code: 'REQUIRED_FIELD_EMPTY', message: 'the server wants a longer message' }
+            ]
+        }
+    },
+    '/rate-limit': { status: 429, body: { error: 'Too many submissions' } },
+    '/error': { status: 500, body: { error: 'Internal server error' } },
+    '/slow': { status: 200, body: { ok: true }, delay: SLOW_DELAY },
+    '/text': { status: 200, text: 'Thank you!' }
+};
+
+function send(res, { status, body, text }) {
+    res.writeHead(status, {
+        'Content-Type': text ? 'text/plain' : 'application/json'
+    });
+    res.end(text || JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+    // The site is served from another port, so allow cross-origin requests
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    const path = new URL(req.url, `http://localhost:${PORT}`).pathname;
+    const response = responses[path];
+
+    if (req.method !== 'POST' || !response) {
+        send(res, { status: 404, body: { error: `Use POST ${Object.keys(responses).join(', ')}` } });
+        return;
+    }
+
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk;
+    });
+    req.on('end', () => {
+        console.log(`${req.method} ${path} (${req.headers['content-type']})\n${body}\n`);
+        setTimeout(() => send(res, response), response.delay || 0);
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock contact endpoint on http://localhost:${PORT}`);
+    console.log(`Paths: ${Object.keys(responses).join(', ')}`);
+});
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * Validate the data files offline before publishing.
+ *
+ * Usage: node scripts/validate-data.js [name ...]
+ *   name: projects, skills or experience (default: all of them)
+ *
+ * Exits with code 1 if any file is invalid. Project tech missing from skills.json is only
+ * reported.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    DATA_SCHEMA_URLS,
+    findUnlistedTech,
+    formatDataPath,
+    sanitizeWithSchema,
+    describeDataEntry
+} = require('../assets/js/data-validator.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+}
+
+function validateFile(name) {
+    const dataFile = `data/${name}.json`;
+    let data;
+
+    try {
+        data = readJson(dataFile);
+    } catch (error) {
+        console.error(`✗ ${dataFile}: ${error.message}`);
+        return false;
+    }
+
+    const result = sanitizeWithSchema(data, readJson(DATA_SCHEMA_URLS[name]));
+
+    if (!result.errors.length) {
+        console.log(`✓ ${dataFile}`);
+        return true;
+    }
+
+    console.error(`✗ ${dataFile}`);
+    result.fatal.forEach(error => {
+        console.error(`  ${formatDataPath(error.path)} ${error.message}`);
+    });
+    result.skipped.forEach(({ path: entryPath, errors }) => {
+        console.error(`  ${describeDataEntry(data, entryPath)} would be skipped on the site:`);
+        errors.forEach(error => console.error(`    - ${formatDataPath(error.path)} ${error.message}`));
+    });
+    return false;
+}
+
+const requested = process.argv.slice(2);
+const names = requested.length ? requested : Object.keys(DATA_SCHEMA_URLS);
+
+const unknown = names.filter(name => !DATA_SCHEMA_URLS[name]);
+if (unknown.length) {
+    console.error(`Unknown data file: ${unknown.join(', ')} (expected ${Object.keys(DATA_SCHEMA_URLS).join(', ')})`);
+    process.exit(1);
+}
+
+// Warn about tech used on projects that has no skill of the same name
+function reportUnlistedTech() {
+    let unlisted;
+    try {
+        unlisted = findUnlistedTech(readJson('data/projects.json'), readJson('data/skills.json'));
+    } catch (error) {
+        return; // Already reported as invalid above
+    }
+
+    if (!unlisted.length) return;
+    console.warn(`! ${unlisted.length} tech name(s) used in data/projects.json are missing from data/skills.json:`);
+    unlisted.forEach(({ tech, projects }) => console.warn(`  - ${tech} (${projects.join(', ')})`));
+}
+
+const results = names.map(validateFile);
+if (names.includes('projects') && names.includes('skills')) reportUnlistedTech();
+process.exit(results.every(Boolean) ? 0 : 1);
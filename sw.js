@@ -0,0 +1,171 @@
+/**
+ * Service Worker
+ * Precaches the app shell, serves data files stale-while-revalidate, caches project images
+ * and falls back to offline.html for pages that are not cached.
+ *
+ * Bump CACHE_VERSION whenever a shell file changes: the new worker then waits until the
+ * visitor accepts the "new version available" banner (see registerServiceWorker() in main.js).
+ */
+
+const CACHE_VERSION = 'v14';
+const SHELL_CACHE = `portfolio-shell-${CACHE_VERSION}`;
+const DATA_CACHE = 'portfolio-data';
+const IMAGE_CACHE = 'portfolio-images';
+const MAX_CACHED_IMAGES = 60;
+
+const OFFLINE_PAGE = 'offline.html';
+
+// Paths are relative to this file, so the site also works from a sub-path
+const SHELL_FILES = [
+    './',
+    'index.html',
+    OFFLINE_PAGE,
+    'cv.html',
+    'manifest.webmanifest',
+    'assets/css/variables.css',
+    'assets/css/style.css',
+    'assets/css/mobile-style.css',
+    'assets/css/cv.css',
+    'assets/css/print.css',
+    'assets/js/app.js',
+    'assets/js/theme-controller.js',
+    'assets/js/sanitize.js',
+    'assets/js/i18n.js',
+    'assets/js/locales/en.js',
+    'assets/js/locales/id.js',
+    'assets/js/data-validator.js',
+    'assets/js/hash.js',
+    'assets/js/placeholder-image.js',
+    'assets/js/project-card.js',
+    'assets/js/main.js',
+    'assets/js/project-detail.js',
+    'assets/js/contact-transports.js',
+    'assets/js/contact-outbox.js',
+    'assets/js/contact-spam-guard.js',
+    'assets/js/form-rules.js',
+    'assets/js/form-validation.js',
+    'assets/js/tabs.js',
+    'assets/js/skills-charts.js',
+    'assets/js/skills-manager.js',
+    'assets/js/cv.js',
+    'assets/images/icons/favicon.ico',
+    'assets/images/icons/icon.svg'
+];
+
+// Contact messages queued while offline are sent from here when Background Sync fires
+importScripts('assets/js/contact-transports.js', 'assets/js/contact-outbox.js');
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const currentCaches = [SHELL_CACHE, DATA_CACHE, IMAGE_CACHE];
+
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('portfolio-') && !currentCaches.includes(key))
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page asks the waiting worker to take over when the visitor clicks "Reload"
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// Background Sync: send the contact outbox; a rejection makes the browser try again later
+self.addEventListener('sync', (event) => {
+    if (event.tag !== CONTACT_OUTBOX_SYNC_TAG) return;
+
+    event.waitUntil(
+        flushContactOutbox().then(async (result) => {
+            const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+            clients.forEach(client => client.postMessage({
+                type: 'CONTACT_OUTBOX_FLUSHED',
+                result: { sent: result.sent, dropped: result.dropped.map(({ entry }) => entry) }
+            }));
+
+            if (result.remaining) {
+                throw new Error(`${result.remaining} contact message(s) still queued`);
+            }
+        })
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    // Only same-origin GETs; explicit no-store/reload requests (admin editors) go to the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+    if (request.cache === 'no-store' || request.cache === 'reload') return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else if (/\/data\/.+\.json$/.test(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(request, DATA_CACHE, event));
+    } else if (request.destination === 'image' || url.pathname.includes('/assets/images/')) {
+        event.respondWith(cacheFirst(request, IMAGE_CACHE, MAX_CACHED_IMAGES));
+    } else {
+        event.respondWith(caches.match(request).then(cached => cached || fetch(request)));
+    }
+});
+
+// Network first so content stays fresh; cached page or the offline page when offline
+async function handleNavigation(request) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        return cached || caches.match(OFFLINE_PAGE);
+    }
+}
+
+async function staleWhileRevalidate(request, cacheName, event) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+
+    const update = fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        })
+        .catch(error => {
+            if (!cached) throw error;
+            return cached;
+        });
+
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+    return update;
+}
+
+async function cacheFirst(request, cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        await cache.put(request, response.clone());
+        await trimCache(cache, maxEntries);
+    }
+    return response;
+}
+
+// Drop the oldest entries once the cache grows past maxEntries
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}